@@ -1,6 +1,32 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { hasModPermission } = require('../utils/communityAccess');
+
+// Resolve an access token to its user, session and expiry, or null if the
+// token is invalid, its session has been revoked or the user no longer exists
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // Only tokens bound to a live session are accepted
+  if (!decoded.sid) {
+    return null;
+  }
+  
+  const [session, user] = await Promise.all([
+    Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null }),
+    User.findById(decoded.id).select('-password')
+  ]);
+  
+  if (!session || !user) {
+    return null;
+  }
+  
+  return { user, sessionId: decoded.sid, expiresAt: decoded.exp * 1000 };
+};
+
+exports.authenticate = authenticate;
 
 // Middleware to verify JWT token
 exports.protect = async (req, res, next) => {
@@ -17,18 +43,16 @@ exports.protect = async (req, res, next) => {
   }
   
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and its session
+    const auth = await authenticate(token);
     
-    // Get user from database
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Not authorized, user not found' });
+    if (!auth) {
+      return res.status(401).json({ message: 'Not authorized, session expired' });
     }
     
-    // Attach user to request object
-    req.user = user;
+    // Attach user and session to request object
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -36,6 +60,16 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Middleware to block unverified accounts from contributing, enabled with
+// REQUIRE_EMAIL_VERIFICATION=true
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || (req.user && req.user.emailVerified)) {
+    next();
+  } else {
+    res.status(403).json({ message: 'Please verify your email address first' });
+  }
+};
+
 // Middleware to check if user is admin
 exports.admin = (req, res, next) => {
   if (req.user && req.user.isAdmin) {
@@ -48,7 +82,7 @@ exports.admin = (req, res, next) => {
 // Middleware to check if user is community moderator
 exports.moderator = async (req, res, next) => {
   try {
-    const { communityName } = req.params;
+    const communityName = req.params.communityName || req.params.name;
     
     // Get community
     const Community = require('../models/Community');
@@ -74,6 +108,15 @@ exports.moderator = async (req, res, next) => {
   }
 };
 
+// Middleware to check a specific moderator permission; use after moderator
+exports.modPermission = (permission) => (req, res, next) => {
+  if (req.community && hasModPermission(req.community, req.user, permission)) {
+    next();
+  } else {
+    res.status(403).json({ message: `Missing moderator permission: ${permission}` });
+  }
+};
+
 // Optional auth middleware - doesn't require auth but attaches user if present
 exports.optionalAuth = async (req, res, next) => {
   let token;
@@ -89,15 +132,13 @@ exports.optionalAuth = async (req, res, next) => {
   }
   
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.id).select('-password');
+    // Verify token and its session
+    const auth = await authenticate(token);
     
-    if (user) {
-      // Attach user to request object
-      req.user = user;
+    if (auth) {
+      // Attach user and session to request object
+      req.user = auth.user;
+      req.sessionId = auth.sessionId;
     }
     
     next();
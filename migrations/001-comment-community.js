@@ -0,0 +1,18 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+// Copy each post's community onto comments stored before comments
+// recorded it, so private community filters apply to them
+exports.up = async () => {
+  const postIds = await Comment.distinct('post', { community: null });
+
+  for (const postId of postIds) {
+    const post = await Post.findById(postId).select('community').lean();
+    if (!post) continue;
+
+    await Comment.updateMany(
+      { post: postId, community: null },
+      { $set: { community: post.community } }
+    );
+  }
+};
@@ -0,0 +1,41 @@
+const Comment = require('../models/Comment');
+
+// Give comments stored before threads were tracked their ancestor path,
+// depth and reply count, so depth-limited tree queries, lock inheritance
+// and "more replies" stubs see them
+exports.up = async () => {
+  const pending = Comment.find({
+    $or: [{ depth: { $exists: false } }, { ancestors: { $exists: false } }]
+  })
+    .select('parentId')
+    .lean()
+    .cursor();
+
+  for await (const comment of pending) {
+    const ancestors = [];
+    let parentId = comment.parentId;
+
+    while (parentId) {
+      ancestors.unshift(parentId);
+      const parent = await Comment.findById(parentId).select('parentId').lean();
+      parentId = parent && parent.parentId;
+    }
+
+    await Comment.updateOne(
+      { _id: comment._id },
+      { $set: { ancestors, depth: ancestors.length } }
+    );
+  }
+
+  // Count direct replies from scratch; comments without any get zero
+  await Comment.updateMany({}, { $set: { replyCount: 0 } });
+
+  const counts = Comment.aggregate([
+    { $match: { parentId: { $ne: null } } },
+    { $group: { _id: '$parentId', replyCount: { $sum: 1 } } }
+  ]).cursor();
+
+  for await (const { _id, replyCount } of counts) {
+    await Comment.updateOne({ _id }, { $set: { replyCount } });
+  }
+};
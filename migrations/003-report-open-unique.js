@@ -0,0 +1,14 @@
+const Report = require('../models/Report');
+
+// Replace the unique index on every report of an item by a user with one
+// that only covers open reports
+exports.up = async () => {
+  try {
+    await Report.collection.dropIndex('target_1_reporter_1');
+  } catch (error) {
+    // Nothing to replace on a fresh database
+    if (error.codeName !== 'IndexNotFound') throw error;
+  }
+
+  await Report.syncIndexes();
+};
@@ -0,0 +1,23 @@
+const Post = require('../models/Post');
+const { hotScore } = require('../utils/ranking');
+
+// Score posts stored before hot ranking existed. Their score is otherwise
+// only computed on the next vote or comment, so they would sink below
+// every newer post in the default listings.
+exports.up = async () => {
+  const pending = Post.find({ hotScore: { $in: [null, 0] } })
+    .select('upvotes downvotes commentCount createdAt')
+    .lean()
+    .cursor();
+
+  for await (const post of pending) {
+    await Post.updateOne(
+      { _id: post._id },
+      {
+        $set: {
+          hotScore: hotScore(post.upvotes, post.downvotes, post.createdAt, post.commentCount)
+        }
+      }
+    );
+  }
+};
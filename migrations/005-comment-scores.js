@@ -0,0 +1,26 @@
+const Comment = require('../models/Comment');
+const { confidenceScore, controversyScore } = require('../utils/ranking');
+
+// Score comments stored before the best and controversial sorts existed.
+// Their scores are otherwise only computed on the next vote, so the
+// default best sort would rank them below every newer comment.
+exports.up = async () => {
+  const pending = Comment.find({
+    $or: [{ bestScore: { $in: [null, 0] } }, { controversialScore: null }]
+  })
+    .select('upvotes downvotes')
+    .lean()
+    .cursor();
+
+  for await (const comment of pending) {
+    await Comment.updateOne(
+      { _id: comment._id },
+      {
+        $set: {
+          bestScore: confidenceScore(comment.upvotes, comment.downvotes),
+          controversialScore: controversyScore(comment.upvotes, comment.downvotes)
+        }
+      }
+    );
+  }
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Migration = require('../models/Migration');
+
+// Load environment variables
+dotenv.config();
+
+// Migration files are named <number>-<name>.js and run in that order
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+// Apply every migration that has not run against this database yet. Each
+// one exports an async `up()`; run with `npm run migrate` before starting
+// a new version of the server.
+const migrate = async () => {
+  const applied = new Set(await Migration.distinct('name'));
+  
+  const files = fs.readdirSync(__dirname)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort();
+  
+  for (const file of files) {
+    const name = path.basename(file, '.js');
+    if (applied.has(name)) continue;
+    
+    console.log(`Running migration ${name}`);
+    await require(path.join(__dirname, file)).up();
+    await Migration.create({ name });
+  }
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then(() => {
+    console.log('Migrations complete');
+    return mongoose.disconnect();
+  })
+  .catch(err => {
+    console.error('Migration failed', err);
+    process.exit(1);
+  });
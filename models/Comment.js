@@ -1,5 +1,6 @@
 
 const mongoose = require('mongoose');
+const { confidenceScore, controversyScore } = require('../utils/ranking');
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -10,18 +11,40 @@ const commentSchema = new mongoose.Schema({
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.deleted;
+    }
   },
   post: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
     required: true
   },
+  // Community of the post, copied here so listings can filter by visibility
+  // (backfilled for older comments by migrations/001-comment-community.js)
+  community: {
+    type: String,
+    ref: 'Community'
+  },
   parentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment',
     default: null
   },
+  // Materialized path from the top-level comment down to the parent
+  // (backfilled for older comments by migrations/002-comment-ancestors.js)
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  }],
+  depth: {
+    type: Number,
+    default: 0
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
   upvotes: {
     type: Number,
     default: 0
@@ -30,6 +53,84 @@ const commentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  bestScore: {
+    type: Number,
+    default: 0
+  },
+  controversialScore: {
+    type: Number,
+    default: 0
+  },
+  // Set once the post author has replied below this comment (Q&A sort)
+  hasOpReply: {
+    type: Boolean,
+    default: false
+  },
+  // A moderator's top-level comment shown first in the thread (one per post)
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  // Marks a comment made in an official moderator or admin capacity
+  distinguished: {
+    type: String,
+    enum: ['moderator', 'admin', null],
+    default: null
+  },
+  // Locked comments take no new replies anywhere below them
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  // Last time the content was changed after the edit grace window
+  edited: {
+    type: Date,
+    default: null
+  },
+  // Set when the author deletes content that others replied to; the
+  // document stays as a "[deleted]" placeholder without an author
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  // Set when a moderator removes the content; the document is kept so
+  // moderators can review or approve it later
+  removed: {
+    type: Boolean,
+    default: false
+  },
+  removal: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    reason: String,
+    // One of the community's rules, if the removal cites one
+    rule: mongoose.Schema.Types.ObjectId,
+    // Set when the spam filter held the content back instead of a
+    // moderator removing it
+    filtered: Boolean
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  // Unresolved user reports. Only moderators see these, so they are left
+  // out of queries unless selected explicitly.
+  reportCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Set when moderators chose to ignore further reports
+  ignoreReports: {
+    type: Boolean,
+    default: false,
+    select: false
+  },
   votes: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -53,10 +154,22 @@ commentSchema.virtual('replies', {
   foreignField: 'parentId'
 });
 
+// Recompute ranking scores whenever votes change
+commentSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('upvotes') || this.isModified('downvotes')) {
+    this.bestScore = confidenceScore(this.upvotes, this.downvotes);
+    this.controversialScore = controversyScore(this.upvotes, this.downvotes);
+  }
+  next();
+});
+
 // Create indexes for efficient querying
 commentSchema.index({ post: 1, createdAt: -1 });
+commentSchema.index({ post: 1, bestScore: -1 });
+commentSchema.index({ post: 1, controversialScore: -1 });
 commentSchema.index({ author: 1, createdAt: -1 });
 commentSchema.index({ parentId: 1 });
+commentSchema.index({ ancestors: 1, depth: 1 });
 
 const Comment = mongoose.model('Comment', commentSchema);
 
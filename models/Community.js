@@ -1,6 +1,39 @@
 
 const mongoose = require('mongoose');
 
+// Moderator permissions; "all" includes every other one
+const MOD_PERMISSIONS = ['all', 'posts', 'users', 'settings', 'flair', 'wiki', 'mail'];
+
+// Flair moderators offer for posts or users
+const flairTemplateSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64
+  },
+  textColor: {
+    type: String,
+    enum: ['dark', 'light'],
+    default: 'dark'
+  },
+  backgroundColor: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/,
+    default: '#edeff1'
+  },
+  // Only moderators can assign it
+  modOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Users may replace the text with their own when picking it
+  userEditable: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const communitySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -26,6 +59,44 @@ const communitySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Permissions per moderator. Moderators without an entry have "all".
+  // Seniority is the order of the moderators array.
+  moderatorPermissions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    permissions: {
+      type: [{ type: String, enum: MOD_PERMISSIONS }],
+      default: ['all']
+    }
+  }],
+  // Pending moderator invitations; invitees join the team on accepting
+  moderatorInvites: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    permissions: {
+      type: [{ type: String, enum: MOD_PERMISSIONS }],
+      default: ['all']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users allowed to post in a restricted community
+  approvedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   memberCount: {
     type: Number,
     default: 1 // Creator starts as a member
@@ -46,6 +117,34 @@ const communitySchema = new mongoose.Schema({
   icon: {
     type: String,
     default: ''
+  },
+  postFlairs: [flairTemplateSchema],
+  userFlairs: [flairTemplateSchema],
+  // Whether every new post has to pick one of the post flairs
+  requirePostFlair: {
+    type: Boolean,
+    default: false
+  },
+  // Whether anyone, not just moderators, can read the mod log
+  publicModLog: {
+    type: Boolean,
+    default: false
+  },
+  // Whether anyone can read the edit history of posts and comments
+  publicEditHistory: {
+    type: Boolean,
+    default: false
+  },
+  // Spam filter: posts and comments by accounts with less karma, or
+  // younger than this many days, wait in the mod queue until approved
+  filterMinKarma: {
+    type: Number,
+    default: null
+  },
+  filterMinAccountAge: {
+    type: Number,
+    default: null,
+    min: 0
   }
 }, {
   timestamps: true
@@ -55,4 +154,6 @@ communitySchema.index({ name: 'text', description: 'text' });
 
 const Community = mongoose.model('Community', communitySchema);
 
+Community.MOD_PERMISSIONS = MOD_PERMISSIONS;
+
 module.exports = Community;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A ban keeps a user from posting, commenting and voting in a community;
+// a mute keeps them from messaging its moderators
+const communityBanSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    ref: 'Community',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['ban', 'mute'],
+    default: 'ban'
+  },
+  // Shown to the user
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  // Only visible to moderators
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Null for permanent bans
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Active (unexpired) ban or mute of a user in a community
+communityBanSchema.statics.findActive = function(community, userId, type = 'ban') {
+  return this.findOne({
+    community,
+    user: userId,
+    type,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+communityBanSchema.index({ community: 1, user: 1, type: 1 }, { unique: true });
+// Temporary bans lift themselves once they expire
+communityBanSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CommunityBan = mongoose.model('CommunityBan', communityBanSchema);
+
+module.exports = CommunityBan;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  // Set for modmail: a conversation between its one participant and the
+  // moderators of this community
+  community: {
+    type: String,
+    ref: 'Community',
+    default: null
+  },
+  // Sorted participant ids (community and user for modmail), so each pair
+  // has one conversation
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ community: 1, lastMessageAt: -1 });
+
+// Key of the conversation between two users
+conversationSchema.statics.keyFor = function(userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(':');
+};
+
+// Key of the modmail conversation between a user and a community's moderators
+conversationSchema.statics.modmailKeyFor = function(community, user) {
+  return `modmail:${community}:${user.toString()}`;
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ follower: 1, createdAt: -1 });
+followSchema.index({ following: 1, createdAt: -1 });
+
+const Follow = mongoose.model('Follow', followSchema);
+
+module.exports = Follow;
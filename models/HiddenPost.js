@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A post the user does not want to see in their feeds
+const hiddenPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+hiddenPostSchema.index({ user: 1, post: 1 }, { unique: true });
+hiddenPostSchema.index({ user: 1, createdAt: -1 });
+
+const HiddenPost = mongoose.model('HiddenPost', hiddenPostSchema);
+
+module.exports = HiddenPost;
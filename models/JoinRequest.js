@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const joinRequestSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    ref: 'Community',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Optional explanation sent to the user with the decision
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Only one open request per user per community
+joinRequestSchema.index(
+  { community: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+joinRequestSchema.index({ community: 1, status: 1, createdAt: 1 });
+
+const JoinRequest = mongoose.model('JoinRequest', joinRequestSchema);
+
+module.exports = JoinRequest;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Null for modmail sent to a community's moderators
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 10000
+  },
+  // Read receipt, set when the recipient reads the conversation
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted by the sender; the content is replaced with a placeholder
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ recipient: 1, readAt: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Data migrations from migrations/ that have already been applied
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+module.exports = Migration;
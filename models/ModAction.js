@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const MOD_ACTIONS = [
+  'edit_settings',
+  'edit_rules',
+  'change_type',
+  'remove_post',
+  'approve_post',
+  'remove_comment',
+  'approve_comment',
+  'ignore_reports',
+  'unignore_reports',
+  'ban_user',
+  'unban_user',
+  'mute_user',
+  'unmute_user',
+  'approve_join_request',
+  'deny_join_request',
+  'add_contributor',
+  'remove_contributor',
+  'invite_moderator',
+  'uninvite_moderator',
+  'accept_moderator_invite',
+  'remove_moderator',
+  'edit_moderator_permissions',
+  'transfer_ownership',
+  'pin_post',
+  'unpin_post',
+  'lock_post',
+  'unlock_post',
+  'lock_comment',
+  'unlock_comment',
+  'pin_comment',
+  'unpin_comment',
+  'edit_flair_templates',
+  'edit_user_flair',
+  'edit_post_flair'
+];
+
+// Append-only record of moderator and admin actions in a community
+const modActionSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    ref: 'Community',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Whether the actor acted as a site admin rather than as a moderator
+  byAdmin: {
+    type: Boolean,
+    default: false
+  },
+  action: {
+    type: String,
+    enum: MOD_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment', 'User', 'Community']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType'
+  },
+  // User affected by the action (the author for posts and comments)
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Free-form before/after values and reasons
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Entries are never changed or deleted once written
+const rejectChange = function(next) {
+  next(new Error('Mod log entries are append-only'));
+};
+
+modActionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+modActionSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+modActionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+modActionSchema.index({ community: 1, createdAt: -1 });
+modActionSchema.index({ community: 1, action: 1, createdAt: -1 });
+modActionSchema.index({ community: 1, actor: 1, createdAt: -1 });
+
+const ModAction = mongoose.model('ModAction', modActionSchema);
+
+ModAction.MOD_ACTIONS = MOD_ACTIONS;
+
+module.exports = ModAction;
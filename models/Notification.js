@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'post_reply',
+  'comment_reply',
+  'mention',
+  'post_removed',
+  'comment_removed',
+  'join_request_approved',
+  'join_request_denied',
+  'moderator_invite'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // User whose action caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  community: {
+    type: String,
+    ref: 'Community'
+  },
+  // Content the notification is about
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
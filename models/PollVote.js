@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const pollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  option: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One vote per user per poll
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+
+const PollVote = mongoose.model('PollVote', pollVoteSchema);
+
+module.exports = PollVote;
@@ -1,5 +1,30 @@
 
 const mongoose = require('mongoose');
+const { hotScore } = require('../utils/ranking');
+
+// Options and tallies for poll posts
+const pollSchema = new mongoose.Schema({
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120
+    },
+    votes: {
+      type: Number,
+      default: 0
+    }
+  }],
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -15,10 +40,31 @@ const postSchema = new mongoose.Schema({
   image: {
     type: String
   },
+  // Canonical URL of link posts
+  url: {
+    type: String,
+    trim: true
+  },
+  linkPreview: {
+    title: String,
+    description: String,
+    thumbnail: String,
+    siteName: String
+  },
+  // Flair picked from the community's templates, copied here so edits to
+  // a template do not change existing posts
+  flair: {
+    template: mongoose.Schema.Types.ObjectId,
+    text: String,
+    textColor: String,
+    backgroundColor: String
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.deleted;
+    }
   },
   community: {
     type: String,
@@ -37,11 +83,76 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  hotScore: {
+    type: Number,
+    default: 0
+  },
   postType: {
     type: String,
     enum: ['text', 'image', 'link', 'poll'],
     default: 'text'
   },
+  poll: pollSchema,
+  // Pinned posts lead the community's listing, in the order they were pinned
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date,
+  // Locked threads take no new comments except from moderators
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  // Last time the content was changed after the edit grace window
+  edited: {
+    type: Date,
+    default: null
+  },
+  // Set when the author deletes content that others replied to; the
+  // document stays as a "[deleted]" placeholder without an author
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  // Set when a moderator removes the content; the document is kept so
+  // moderators can review or approve it later
+  removed: {
+    type: Boolean,
+    default: false
+  },
+  removal: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    reason: String,
+    // One of the community's rules, if the removal cites one
+    rule: mongoose.Schema.Types.ObjectId,
+    // Set when the spam filter held the content back instead of a
+    // moderator removing it
+    filtered: Boolean
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  // Unresolved user reports. Only moderators see these, so they are left
+  // out of queries unless selected explicitly.
+  reportCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Set when moderators chose to ignore further reports
+  ignoreReports: {
+    type: Boolean,
+    default: false,
+    select: false
+  },
   votes: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -56,9 +167,37 @@ const postSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Recompute hot score whenever votes or comments change
+postSchema.pre('save', function(next) {
+  if (
+    this.isNew ||
+    this.isModified('upvotes') ||
+    this.isModified('downvotes') ||
+    this.isModified('commentCount')
+  ) {
+    this.hotScore = hotScore(
+      this.upvotes,
+      this.downvotes,
+      this.createdAt || new Date(),
+      this.commentCount
+    );
+  }
+  next();
+});
+
 // Create index for efficient querying
 postSchema.index({ community: 1, createdAt: -1 });
 postSchema.index({ author: 1, createdAt: -1 });
+postSchema.index({ hotScore: -1 });
+// Feed sorts for posts from joined communities or followed authors
+postSchema.index({ community: 1, hotScore: -1, createdAt: -1 });
+postSchema.index({ author: 1, hotScore: -1, createdAt: -1 });
+postSchema.index({ community: 1, upvotes: -1, createdAt: -1 });
+postSchema.index({ author: 1, upvotes: -1, createdAt: -1 });
+postSchema.index({ url: 1, createdAt: -1 }, { sparse: true });
+postSchema.index({ community: 1, 'flair.text': 1, createdAt: -1 });
+postSchema.index({ community: 1, pinned: 1 });
+postSchema.index({ title: 'text', content: 'text' });
 
 const Post = mongoose.model('Post', postSchema);
 
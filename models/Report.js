@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Site-wide reasons that apply in every community, next to its own rules
+const SITE_REPORT_REASONS = {
+  spam: 'Spam',
+  harassment: 'Harassment',
+  hate: 'Hate',
+  violence: 'Threatening violence',
+  self_harm: 'Self-harm or suicide',
+  personal_information: 'Sharing personal information',
+  impersonation: 'Impersonation',
+  illegal: 'Illegal content',
+  other: 'Other'
+};
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  community: {
+    type: String,
+    ref: 'Community',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Either one of the community's rules or a site-wide reason
+  rule: mongoose.Schema.Types.ObjectId,
+  siteReason: {
+    type: String,
+    enum: Object.keys(SITE_REPORT_REASONS)
+  },
+  // Text shown to moderators: the rule title or site reason
+  reason: {
+    type: String,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  // Set once a moderator approves, removes or ignores the reported item
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A user can have one open report per item, and report it again once
+// moderators have dealt with it
+reportSchema.index(
+  { target: 1, reporter: 1 },
+  { unique: true, partialFilterExpression: { resolvedAt: { $type: 'null' } } }
+);
+reportSchema.index({ target: 1, resolvedAt: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+Report.SITE_REPORT_REASONS = SITE_REPORT_REASONS;
+
+module.exports = Report;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Earlier version of an edited post or comment
+const revisionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Fields as they were before the edit (title is only set for posts)
+  title: String,
+  content: String,
+  // Word diff per changed field, from the old version to the new one
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ target: 1, createdAt: -1 });
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = Revision;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A post or comment a user bookmarked for later
+const savedItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // Optional user-defined folder
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 32,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+savedItemSchema.index({ user: 1, target: 1 }, { unique: true });
+savedItemSchema.index({ user: 1, createdAt: -1 });
+savedItemSchema.index({ user: 1, category: 1, createdAt: -1 });
+
+const SavedItem = mongoose.model('SavedItem', savedItemSchema);
+
+module.exports = SavedItem;
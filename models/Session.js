@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a session survives without being refreshed
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the only refresh token that may currently be used
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of rotated tokens; presenting one of them again means the
+  // token was stolen, so the whole session is revoked
+  previousHashes: [String],
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const newExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens carry their session ID so they can be looked up directly
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+// Start a session for a user signing in from the given request
+sessionSchema.statics.start = async function(userId, req) {
+  const session = new this({
+    user: userId,
+    userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+    ip: req.ip || '',
+    expiresAt: newExpiry()
+  });
+  
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+  
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Returns { session, refreshToken }
+// or { error } when the token is invalid, expired or has been reused.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+  
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+  
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashToken(nextToken), lastUsedAt: new Date(), expiresAt: newExpiry() },
+      $push: { previousHashes: { $each: [tokenHash], $slice: -100 } }
+    },
+    { new: true }
+  );
+  
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+  
+  // A rotated token being replayed: revoke the whole session family
+  const reused = await this.findOneAndUpdate(
+    { _id: sessionId, previousHashes: tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  
+  if (reused) {
+    console.warn(`Refresh token reuse detected, session ${sessionId} revoked`);
+  }
+  
+  return { error: 'Invalid refresh token' };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, exceptId) {
+  const query = { user: userId, revokedAt: null };
+  
+  if (exceptId) {
+    query._id = { $ne: exceptId };
+  }
+  
+  return this.updateMany(query, { $set: { revokedAt: new Date() } });
+};
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions that can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
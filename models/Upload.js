@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const uploadSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the file is meant for; decides size and dimension limits
+  kind: {
+    type: String,
+    enum: ['post', 'avatar', 'icon', 'banner'],
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: String,
+  thumbnailUrl: String
+}, {
+  timestamps: true
+});
+
+// Look up an upload the given user made for the given purpose
+uploadSchema.statics.findOwned = function(id, userId, kind) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+  
+  return this.findOne({ _id: id, uploader: userId, kind });
+};
+
+uploadSchema.index({ uploader: 1, createdAt: -1 });
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+module.exports = Upload;
@@ -40,9 +40,54 @@ const userSchema = new mongoose.Schema({
     type: String,
     ref: 'Community'
   }],
+  followerCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
+  // Whether other users may follow this one
+  allowFollowers: {
+    type: Boolean,
+    default: true
+  },
+  // Notification types and threads (posts) the user does not want to hear about
+  mutedNotificationTypes: [{
+    type: String
+  }],
+  mutedThreads: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  // Accounts with less karma or younger than this many days cannot send
+  // this user private messages; null lets everyone through
+  messageMinKarma: {
+    type: Number,
+    default: null
+  },
+  messageMinAccountAge: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Users whose posts are left out of this user's feeds and who cannot
+  // message them
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   isAdmin: {
     type: Boolean,
     default: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
   }
 }, {
   timestamps: true
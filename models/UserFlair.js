@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A user's flair in one community
+const userFlairSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    ref: 'Community',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: mongoose.Schema.Types.ObjectId,
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64
+  },
+  textColor: String,
+  backgroundColor: String
+}, {
+  timestamps: true
+});
+
+userFlairSchema.index({ community: 1, user: 1 }, { unique: true });
+
+const UserFlair = mongoose.model('UserFlair', userFlairSchema);
+
+module.exports = UserFlair;
@@ -2,7 +2,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const Notification = require('../models/Notification');
+const Message = require('../models/Message');
 const generateToken = require('../utils/generateToken');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/emails');
+const { sessionsRevoked } = require('../utils/events');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -57,11 +63,22 @@ router.post(
 
       await user.save();
 
-      // Generate JWT
-      const token = generateToken(user._id);
+      // Ask the user to confirm their email; registration succeeds even if
+      // the email cannot be sent, since it can be resent later
+      try {
+        const verificationToken = await AuthToken.issue(user._id, 'email-verification', 24 * 60);
+        await sendVerificationEmail(user, verificationToken);
+      } catch (error) {
+        console.error('Send verification email error:', error);
+      }
+
+      // Start a session and generate tokens
+      const { session, refreshToken } = await Session.start(user._id, req);
+      const token = generateToken(user._id, session._id);
 
       res.status(201).json({
         token,
+        refreshToken,
         user: {
           _id: user._id,
           username: user.username,
@@ -111,11 +128,13 @@ router.post(
         return res.status(401).json({ message: 'Invalid credentials' });
       }
 
-      // Generate JWT
-      const token = generateToken(user._id);
+      // Start a session and generate tokens
+      const { session, refreshToken } = await Session.start(user._id, req);
+      const token = generateToken(user._id, session._id);
 
       res.json({
         token,
+        refreshToken,
         user: {
           _id: user._id,
           username: user.username,
@@ -144,11 +163,307 @@ router.get('/me', protect, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json(user);
+    const [unreadNotifications, unreadMessages] = await Promise.all([
+      Notification.countDocuments({ recipient: user._id, readAt: null }),
+      Message.countDocuments({ recipient: user._id, readAt: null, deleted: false })
+    ]);
+    
+    res.json({ ...user.toObject(), unreadNotifications, unreadMessages });
   } catch (error) {
     console.error('Get current user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post(
+  '/refresh',
+  [
+    body('refreshToken').not().isEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await Session.rotate(req.body.refreshToken);
+
+      if (result.error) {
+        return res.status(401).json({ message: result.error });
+      }
+
+      const token = generateToken(result.session.user, result.session._id);
+
+      res.json({
+        token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, user: req.user._id },
+      { $set: { revokedAt: new Date() } }
+    );
+    sessionsRevoked(req.user._id);
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password and sign out every other session
+// @access  Private
+router.put(
+  '/password',
+  [
+    protect,
+    [
+      body('currentPassword').not().isEmpty().withMessage('Current password is required'),
+      body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters')
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id);
+
+      const isMatch = await user.comparePassword(req.body.currentPassword);
+
+      if (!isMatch) {
+        return res.status(401).json({ message: 'Current password is incorrect' });
+      }
+
+      user.password = req.body.newPassword;
+      await user.save();
+
+      await Session.revokeAll(user._id, req.sessionId);
+      sessionsRevoked(user._id);
+
+      res.json({ message: 'Password changed' });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Please include a valid email')
+      .normalizeEmail()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+
+      if (user) {
+        const token = await AuthToken.issue(user._id, 'password-reset', 60);
+        await sendPasswordResetEmail(user, token);
+      }
+
+      // Same answer either way, so the endpoint cannot be used to probe emails
+      res.json({ message: 'If an account uses that email, a reset link has been sent' });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    body('token').not().isEmpty().withMessage('Token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await AuthToken.consume(req.body.token, 'password-reset');
+
+      if (!authToken) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+
+      const user = await User.findById(authToken.user);
+
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+
+      user.password = req.body.password;
+
+      // Receiving the reset link proves the user controls the email
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+
+      await user.save();
+
+      // Sign out everywhere in case the account was compromised
+      await Session.revokeAll(user._id);
+      sessionsRevoked(user._id);
+
+      res.json({ message: 'Password has been reset, please log in' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the email address using a verification token
+// @access  Public
+router.post(
+  '/verify-email',
+  [
+    body('token').not().isEmpty().withMessage('Token is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await AuthToken.consume(req.body.token, 'email-verification');
+
+      if (!authToken) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+
+      await User.findByIdAndUpdate(authToken.user, {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() }
+      });
+
+      res.json({ message: 'Email verified' });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    
+    const token = await AuthToken.issue(req.user._id, 'email-verification', 24 * 60);
+    await sendVerificationEmail(req.user, token);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (devices)
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+    
+    sessions.forEach(session => {
+      session.current = session._id.toString() === String(req.sessionId);
+    });
+    
+    res.json(sessions);
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    sessionsRevoked(req.user._id);
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,13 +1,44 @@
 
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const Community = require('../models/Community');
 const Vote = require('../models/Vote');
+const Report = require('../models/Report');
+const Revision = require('../models/Revision');
+const SavedItem = require('../models/SavedItem');
 const User = require('../models/User');
 const { protect, optionalAuth } = require('../middleware/auth');
+const { commentSortOptions } = require('../utils/ranking');
+const { parseTreeOptions, loadCommentTree, buildCommentTree, walkCommentTree } = require('../utils/commentTree');
+const {
+  checkCommunityAccess,
+  applyVisibilityFilter,
+  canModerate,
+  moderatedCommunity,
+  isCommunityModerator
+} = require('../utils/communityAccess');
+const { maskRemovedComment } = require('../utils/moderation');
+const { logModAction } = require('../utils/modLog');
+const { deleteComment } = require('../utils/deletion');
+const { applyEdit, canViewRevisions } = require('../utils/revisions');
+const { attachAuthorFlair } = require('../utils/flair');
+const { attachSavedStatus } = require('../utils/saved');
+const { notify } = require('../utils/notifications');
+const { resolveReportReason, fileReport, resolveReports } = require('../utils/reports');
+const { channels, publish } = require('../utils/events');
 
 const router = express.Router();
 
+// Look up a comment's community and check that the user moderates it.
+// Returns the community, or null if the user is not allowed.
+const moderatedCommentCommunity = async (comment, user) => {
+  const post = await Post.findById(comment.post).select('community');
+  return post && moderatedCommunity(post.community, user, 'posts');
+};
+
 // @route   GET /api/comments
 // @desc    Get comments by author
 // @access  Public
@@ -29,37 +60,25 @@ router.get('/', optionalAuth, async (req, res) => {
       }
     }
     
-    // Determine sort order
-    let sortOptions = {};
-    switch (sort) {
-      case 'old':
-        sortOptions = { createdAt: 1 };
-        break;
-      case 'top':
-        sortOptions = { upvotes: -1 };
-        break;
-      case 'controversial':
-        sortOptions = { downvotes: -1 };
-        break;
-      case 'new':
-      default:
-        sortOptions = { createdAt: -1 };
-        break;
-    }
+    await applyVisibilityFilter(query, req.user);
+    
+    // Removed and deleted comments only show up in the post's thread
+    query.removed = { $ne: true };
+    query.deleted = { $ne: true };
     
     // Get comments
     const comments = await Comment.find(query)
-      .sort(sortOptions)
+      .sort(commentSortOptions(sort))
       .skip(skip)
       .limit(parseInt(limit))
       .populate('author', 'username avatar karma')
       .populate({
         path: 'post',
-        select: 'title community'
+        select: 'title community deleted'
       })
       .lean();
     
-    // If user is authenticated, add their vote status
+    // If user is authenticated, add their vote and saved status
     if (req.user) {
       const userVotes = await Vote.find({
         user: req.user._id,
@@ -75,6 +94,8 @@ router.get('/', optionalAuth, async (req, res) => {
       comments.forEach(comment => {
         comment.userVote = voteMap[comment._id.toString()] || 0;
       });
+      
+      await attachSavedStatus(comments, req.user);
     }
     
     res.json(comments);
@@ -84,6 +105,546 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/comments/:id/children
+// @desc    Expand a "more" stub: replies below a comment (?depth, ?breadth, ?limit, ?cursor)
+// @access  Public
+router.get('/:id/children', optionalAuth, async (req, res) => {
+  try {
+    const { sort = 'best' } = req.query;
+    const treeOptions = parseTreeOptions(req.query);
+    
+    const parent = await Comment.findById(req.params.id);
+    
+    if (!parent) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const post = await Post.findById(parent.post).select('community');
+    const denied = post
+      ? await checkCommunityAccess(post.community, req.user)
+      : { status: 404, message: 'Post not found' };
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    
+    // Get a page of direct replies and the replies below them, comments
+    // distinguished as moderator or admin first
+    const { comments, total } = await loadCommentTree({
+      parent,
+      sort: { distinguished: -1, ...commentSortOptions(sort) },
+      ...treeOptions
+    });
+    
+    const isModerator = await canModerate(post.community, req.user, 'posts');
+    comments.forEach(comment => maskRemovedComment(comment, req.user, isModerator));
+    
+    await attachAuthorFlair(comments);
+    
+    const tree = buildCommentTree(comments, { ...treeOptions, parentId: parent._id, total });
+    
+    // If user is authenticated, add their vote and saved status
+    if (req.user) {
+      const treeComments = [];
+      walkCommentTree(tree, comment => treeComments.push(comment));
+      
+      const userVotes = await Vote.find({
+        user: req.user._id,
+        targetType: 'Comment',
+        target: { $in: treeComments.map(comment => comment._id) }
+      });
+      
+      const voteMap = {};
+      userVotes.forEach(vote => {
+        voteMap[vote.target.toString()] = vote.value;
+      });
+      
+      treeComments.forEach(comment => {
+        comment.userVote = voteMap[comment._id.toString()] || 0;
+      });
+      
+      await attachSavedStatus(treeComments, req.user);
+    }
+    
+    res.json(tree);
+  } catch (error) {
+    console.error('Get comment children error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/comments/:id/remove
+// @desc    Remove a comment as a moderator, optionally citing a community rule
+// @access  Private (moderator only)
+router.post(
+  '/:id/remove',
+  [
+    protect,
+    [
+      body('reason')
+        .optional()
+        .isLength({ max: 300 })
+        .withMessage('Reason cannot exceed 300 characters')
+        .trim(),
+      body('ruleId').optional().isMongoId().withMessage('Invalid rule')
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const comment = await Comment.findById(req.params.id);
+      
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      const community = await moderatedCommentCommunity(comment, req.user);
+      
+      if (!community) {
+        return res.status(403).json({ message: 'Not authorized as moderator' });
+      }
+      
+      const { reason, ruleId } = req.body;
+      const rule = ruleId ? community.rules.id(ruleId) : null;
+      
+      if (ruleId && !rule) {
+        return res.status(400).json({ message: 'Rule not found' });
+      }
+      
+      comment.removed = true;
+      comment.removal = {
+        by: req.user._id,
+        at: new Date(),
+        reason: reason || (rule ? rule.title : ''),
+        rule: rule ? rule._id : undefined
+      };
+      comment.approvedBy = undefined;
+      comment.approvedAt = undefined;
+      
+      await comment.save();
+      
+      await resolveReports(Comment, comment, req.user);
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'remove_comment',
+        targetType: 'Comment',
+        target: comment._id,
+        targetUser: comment.author,
+        details: { reason: comment.removal.reason, rule: comment.removal.rule }
+      });
+      
+      await notify({
+        recipient: comment.author,
+        type: 'comment_removed',
+        actor: req.user._id,
+        community: community.name,
+        post: comment.post,
+        comment: comment._id,
+        message: `Your comment in r/${community.name} was removed` +
+          (comment.removal.reason ? `: ${comment.removal.reason}` : '')
+      });
+      
+      res.json({ message: 'Comment removed', comment });
+    } catch (error) {
+      console.error('Remove comment error:', error);
+      
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/comments/:id/approve
+// @desc    Approve a comment, restoring it if it was removed
+// @access  Private (moderator only)
+router.post('/:id/approve', protect, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const community = await moderatedCommentCommunity(comment, req.user);
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    comment.removed = false;
+    comment.removal = undefined;
+    comment.approvedBy = req.user._id;
+    comment.approvedAt = new Date();
+    
+    await comment.save();
+    
+    await resolveReports(Comment, comment, req.user);
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: 'approve_comment',
+      targetType: 'Comment',
+      target: comment._id,
+      targetUser: comment.author
+    });
+    
+    res.json({ message: 'Comment approved', comment });
+  } catch (error) {
+    console.error('Approve comment error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/comments/:id/report
+// @desc    Report a comment to the community's moderators
+// @access  Private
+router.post(
+  '/:id/report',
+  [
+    protect,
+    [
+      body('ruleId').optional().isMongoId().withMessage('Invalid rule'),
+      body('siteReason')
+        .optional()
+        .isIn(Object.keys(Report.SITE_REPORT_REASONS))
+        .withMessage('Invalid report reason'),
+      body('details')
+        .optional()
+        .isLength({ max: 300 })
+        .withMessage('Details cannot exceed 300 characters')
+        .trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const comment = await Comment.findById(req.params.id);
+      
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      const post = await Post.findById(comment.post).select('community');
+      const community = post && await Community.findOne({ name: post.community });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      const denied = await checkCommunityAccess(community.name, req.user);
+      if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+      }
+      
+      const { rule, siteReason, reason, error } = resolveReportReason(community, req.body);
+      
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      
+      const report = await fileReport(Comment, comment, community, req.user, {
+        rule,
+        siteReason,
+        reason,
+        details: req.body.details
+      });
+      
+      if (!report) {
+        return res.status(400).json({ message: 'You have already reported this comment' });
+      }
+      
+      res.status(201).json({ message: 'Comment reported' });
+    } catch (error) {
+      console.error('Report comment error:', error);
+      
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Shared handler for ignoring and un-ignoring reports on a comment
+const setIgnoreReports = (ignore) => async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const community = await moderatedCommentCommunity(comment, req.user);
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    await Comment.updateOne({ _id: comment._id }, { ignoreReports: ignore });
+    
+    // Reports filed so far are dealt with by ignoring them
+    if (ignore) {
+      await resolveReports(Comment, comment, req.user);
+    }
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: ignore ? 'ignore_reports' : 'unignore_reports',
+      targetType: 'Comment',
+      target: comment._id,
+      targetUser: comment.author
+    });
+    
+    res.json({ message: ignore ? 'Reports ignored' : 'Reports no longer ignored' });
+  } catch (error) {
+    console.error('Ignore reports error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   POST /api/comments/:id/ignore-reports
+// @desc    Keep a comment out of the mod queue no matter how often it is reported
+// @access  Private (moderator only)
+router.post('/:id/ignore-reports', protect, setIgnoreReports(true));
+
+// @route   DELETE /api/comments/:id/ignore-reports
+// @desc    Let reports on a comment reach the mod queue again
+// @access  Private (moderator only)
+router.delete('/:id/ignore-reports', protect, setIgnoreReports(false));
+
+// Shared handler for locking and unlocking comments
+const setCommentLock = (locked) => async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const community = await moderatedCommentCommunity(comment, req.user);
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    if (comment.locked === locked) {
+      return res.status(400).json({ message: `Comment is already ${locked ? 'locked' : 'unlocked'}` });
+    }
+    
+    comment.locked = locked;
+    await comment.save();
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: locked ? 'lock_comment' : 'unlock_comment',
+      targetType: 'Comment',
+      target: comment._id,
+      targetUser: comment.author
+    });
+    
+    res.json({ message: locked ? 'Comment locked' : 'Comment unlocked', comment });
+  } catch (error) {
+    console.error('Lock comment error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   POST /api/comments/:id/lock
+// @desc    Lock a comment so nobody can reply anywhere below it
+// @access  Private (moderator only)
+router.post('/:id/lock', protect, setCommentLock(true));
+
+// @route   DELETE /api/comments/:id/lock
+// @desc    Unlock a comment
+// @access  Private (moderator only)
+router.delete('/:id/lock', protect, setCommentLock(false));
+
+// Shared handler for marking your own comment as an official moderator (or
+// admin) comment and taking the mark off again
+const setDistinguished = (distinguish) => async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You can only distinguish your own comments' });
+    }
+    
+    const community = await moderatedCommentCommunity(comment, req.user);
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    if (distinguish) {
+      comment.distinguished = isCommunityModerator(community, req.user) ? 'moderator' : 'admin';
+    } else {
+      comment.distinguished = null;
+      comment.pinned = false;
+    }
+    
+    await comment.save();
+    
+    res.json(comment);
+  } catch (error) {
+    console.error('Distinguish comment error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   POST /api/comments/:id/distinguish
+// @desc    Distinguish your own comment as a moderator or admin
+// @access  Private (moderator only)
+router.post('/:id/distinguish', protect, setDistinguished(true));
+
+// @route   DELETE /api/comments/:id/distinguish
+// @desc    Undistinguish a comment, unpinning it as well
+// @access  Private (moderator only)
+router.delete('/:id/distinguish', protect, setDistinguished(false));
+
+// @route   POST /api/comments/:id/pin
+// @desc    Pin your own top-level comment above the thread, replacing any earlier one
+// @access  Private (moderator only)
+router.post('/:id/pin', protect, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You can only pin your own comments' });
+    }
+    
+    if (comment.parentId) {
+      return res.status(400).json({ message: 'Only top-level comments can be pinned' });
+    }
+    
+    const community = await moderatedCommentCommunity(comment, req.user);
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    await Comment.updateMany(
+      { post: comment.post, pinned: true, _id: { $ne: comment._id } },
+      { $set: { pinned: false } }
+    );
+    
+    // A pinned comment always speaks for the mod team
+    comment.pinned = true;
+    comment.distinguished = isCommunityModerator(community, req.user) ? 'moderator' : 'admin';
+    await comment.save();
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: 'pin_comment',
+      targetType: 'Comment',
+      target: comment._id,
+      targetUser: comment.author
+    });
+    
+    res.json({ message: 'Comment pinned', comment });
+  } catch (error) {
+    console.error('Pin comment error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/comments/:id/pin
+// @desc    Unpin a comment
+// @access  Private (moderator only)
+router.delete('/:id/pin', protect, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    
+    if (!comment || !comment.pinned) {
+      return res.status(404).json({ message: 'Pinned comment not found' });
+    }
+    
+    const community = await moderatedCommentCommunity(comment, req.user);
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    comment.pinned = false;
+    await comment.save();
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: 'unpin_comment',
+      targetType: 'Comment',
+      target: comment._id,
+      targetUser: comment.author
+    });
+    
+    res.json({ message: 'Comment unpinned', comment });
+  } catch (error) {
+    console.error('Unpin comment error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/comments/:id
 // @desc    Update a comment
 // @access  Private
@@ -97,7 +658,7 @@ router.put('/:id', protect, async (req, res) => {
     
     const comment = await Comment.findById(req.params.id);
     
-    if (!comment) {
+    if (!comment || comment.deleted) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
@@ -106,10 +667,19 @@ router.put('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this comment' });
     }
     
-    // Update comment
-    comment.content = content.trim();
+    // Update comment, keeping the previous version as a revision
+    await applyEdit(comment, 'Comment', req.user, { content: content.trim() });
     await comment.save();
     
+    if (!comment.removed) {
+      publish(channels.post(comment.post), 'comment_updated', {
+        _id: comment._id,
+        content: comment.content,
+        edited: comment.edited,
+        updatedAt: comment.updatedAt
+      });
+    }
+    
     res.json(comment);
   } catch (error) {
     console.error('Update comment error:', error);
@@ -122,6 +692,130 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/comments/:id/revisions
+// @desc    Get the edit history of a comment, newest first
+// @access  Author and moderators, or public if the community allows it
+router.get('/:id/revisions', optionalAuth, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id).select('author post removed');
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const post = await Post.findById(comment.post).select('community');
+    const denied = post
+      ? await checkCommunityAccess(post.community, req.user)
+      : { status: 404, message: 'Post not found' };
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    
+    if (!(await canViewRevisions(comment, post.community, req.user))) {
+      // Removed comments have no history to show to the public
+      if (comment.removed) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      return res.status(403).json({ message: 'Not authorized to view the edit history' });
+    }
+    
+    const revisions = await Revision.find({ target: comment._id })
+      .sort({ createdAt: -1 })
+      .populate('editor', 'username')
+      .lean();
+    
+    res.json(revisions);
+  } catch (error) {
+    console.error('Get comment revisions error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/comments/:id/save
+// @desc    Save a comment, optionally into a category
+// @access  Private
+router.post(
+  '/:id/save',
+  [
+    protect,
+    [
+      body('category')
+        .optional({ values: 'null' })
+        .isLength({ max: 32 })
+        .withMessage('Category cannot exceed 32 characters')
+        .trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const comment = await Comment.findById(req.params.id).select('post deleted');
+      
+      if (!comment || comment.deleted) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      const post = await Post.findById(comment.post).select('community');
+      const denied = post
+        ? await checkCommunityAccess(post.community, req.user)
+        : { status: 404, message: 'Post not found' };
+      if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+      }
+      
+      // Saving again just moves the item to another category
+      const savedItem = await SavedItem.findOneAndUpdate(
+        { user: req.user._id, target: comment._id },
+        { $set: { targetType: 'Comment', category: req.body.category || null } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      
+      res.json(savedItem);
+    } catch (error) {
+      console.error('Save comment error:', error);
+      
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE /api/comments/:id/save
+// @desc    Unsave a comment
+// @access  Private
+router.delete('/:id/save', protect, async (req, res) => {
+  try {
+    const result = await SavedItem.deleteOne({ user: req.user._id, target: req.params.id });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Comment is not saved' });
+    }
+    
+    res.json({ message: 'Comment unsaved' });
+  } catch (error) {
+    console.error('Unsave comment error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/comments/:id
 // @desc    Delete a comment
 // @access  Private
@@ -129,7 +823,7 @@ router.delete('/:id', protect, async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id);
     
-    if (!comment) {
+    if (!comment || comment.deleted) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
@@ -138,13 +832,15 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this comment' });
     }
     
-    // Delete comment and its votes
-    await Promise.all([
-      comment.deleteOne(),
-      Vote.deleteMany({ targetType: 'Comment', target: comment._id })
-    ]);
+    // Replies stay, under a "[deleted]" placeholder if there are any
+    await deleteComment(comment);
+    
+    // The comment's score no longer counts towards the author's karma
+    await req.user.updateKarma();
+    
+    publish(channels.post(comment.post), 'comment_deleted', { _id: comment._id });
     
-    res.json({ message: 'Comment removed' });
+    res.json({ message: 'Comment deleted' });
   } catch (error) {
     console.error('Delete comment error:', error);
     
@@ -175,6 +871,18 @@ router.post('/:id/vote', protect, async (req, res) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
+    if (comment.deleted) {
+      return res.status(400).json({ message: 'Cannot vote on a deleted comment' });
+    }
+    
+    const post = await Post.findById(comment.post).select('community');
+    const denied = post
+      ? await checkCommunityAccess(post.community, req.user, 'participate')
+      : { status: 404, message: 'Post not found' };
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    
     // Start a session for transaction
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -248,6 +956,12 @@ router.post('/:id/vote', protect, async (req, res) => {
       await session.commitTransaction();
       session.endSession();
       
+      publish(channels.post(comment.post), 'comment_votes', {
+        _id: comment._id,
+        upvotes: comment.upvotes,
+        downvotes: comment.downvotes
+      });
+      
       res.json({ message: 'Vote recorded', comment });
     } catch (error) {
       // Abort transaction on error
@@ -4,11 +4,59 @@ const { body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Community = require('../models/Community');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 const User = require('../models/User');
-const { protect, moderator, optionalAuth } = require('../middleware/auth');
+const Upload = require('../models/Upload');
+const JoinRequest = require('../models/JoinRequest');
+const CommunityBan = require('../models/CommunityBan');
+const UserFlair = require('../models/UserFlair');
+const ModAction = require('../models/ModAction');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { protect, moderator, modPermission, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  isCommunityModerator,
+  moderatorRank,
+  hasModPermission,
+  moderates,
+  canViewCommunity
+} = require('../utils/communityAccess');
+const { logModAction } = require('../utils/modLog');
+const { notify, publishNotification } = require('../utils/notifications');
+const { summarizeReports } = require('../utils/reports');
+const { pickFlair } = require('../utils/flair');
+const { channels, publish, accessChanged } = require('../utils/events');
+const { sendMessage } = require('../utils/messages');
 
 const router = express.Router();
 
+// Settings that show up as before/after values in the mod log
+const settingsSnapshot = (community) => ({
+  description: community.description,
+  icon: community.icon,
+  banner: community.banner,
+  requirePostFlair: community.requirePostFlair,
+  publicModLog: community.publicModLog,
+  publicEditHistory: community.publicEditHistory,
+  filterMinKarma: community.filterMinKarma,
+  filterMinAccountAge: community.filterMinAccountAge
+});
+
+// Mod queue views. Reported items wait until a moderator approves, removes
+// or ignores them; filtered items were held back by the spam filter and
+// wait for a moderator to approve or remove them; unmoderated items were
+// neither approved nor removed yet.
+const MODQUEUE_FILTERS = {
+  reported: {
+    removed: { $ne: true },
+    deleted: { $ne: true },
+    reportCount: { $gt: 0 },
+    ignoreReports: { $ne: true }
+  },
+  filtered: { removed: true, deleted: { $ne: true }, 'removal.filtered': true },
+  unmoderated: { removed: { $ne: true }, deleted: { $ne: true }, approvedBy: null }
+};
+
 // @route   GET /api/communities
 // @desc    Get all communities
 // @access  Public
@@ -42,6 +90,7 @@ router.get('/', async (req, res) => {
     
     // Get communities
     const communities = await Community.find(query)
+      .select('-approvedUsers -moderatorInvites -filterMinKarma -filterMinAccountAge')
       .sort(sortOptions)
       .skip(skip)
       .limit(parseInt(limit))
@@ -61,6 +110,7 @@ router.get('/', async (req, res) => {
 router.get('/popular', async (req, res) => {
   try {
     const communities = await Community.find()
+      .select('-approvedUsers -moderatorInvites -filterMinKarma -filterMinAccountAge')
       .sort({ memberCount: -1 })
       .limit(5)
       .lean();
@@ -78,6 +128,7 @@ router.get('/popular', async (req, res) => {
 router.get('/:name', optionalAuth, async (req, res) => {
   try {
     const community = await Community.findOne({ name: req.params.name })
+      .select('-approvedUsers -moderatorInvites')
       .populate('creator', 'username')
       .populate('moderators', 'username')
       .lean();
@@ -86,11 +137,25 @@ router.get('/:name', optionalAuth, async (req, res) => {
       return res.status(404).json({ message: 'Community not found' });
     }
     
-    // If user is authenticated, check if they've joined
+    // If user is authenticated, check if they've joined or asked to
     if (req.user) {
       community.isJoined = req.user.joinedCommunities.includes(community.name);
+      community.hasPendingRequest = !community.isJoined && Boolean(
+        await JoinRequest.exists({
+          community: community.name,
+          user: req.user._id,
+          status: 'pending'
+        })
+      );
     } else {
       community.isJoined = false;
+      community.hasPendingRequest = false;
+    }
+    
+    // Spam filter thresholds would tell spammers what to aim for
+    if (!req.user || !community.moderators.some(mod => mod._id.equals(req.user._id))) {
+      delete community.filterMinKarma;
+      delete community.filterMinAccountAge;
     }
     
     res.json(community);
@@ -187,12 +252,33 @@ router.put(
   [
     protect,
     moderator,
+    modPermission('settings'),
     [
       body('description')
         .optional()
         .isLength({ max: 500 })
         .withMessage('Description cannot exceed 500 characters')
-        .trim()
+        .trim(),
+      body('type')
+        .optional()
+        .isIn(['public', 'restricted', 'private'])
+        .withMessage('Invalid community type'),
+      body('requirePostFlair').optional().isBoolean().withMessage('requirePostFlair must be a boolean'),
+      body('publicModLog').optional().isBoolean().withMessage('publicModLog must be a boolean'),
+      body('publicEditHistory')
+        .optional()
+        .isBoolean()
+        .withMessage('publicEditHistory must be a boolean'),
+      body('filterMinKarma')
+        .optional({ values: 'null' })
+        .isInt()
+        .withMessage('filterMinKarma must be a whole number'),
+      body('filterMinAccountAge')
+        .optional({ values: 'null' })
+        .isInt({ min: 0 })
+        .withMessage('filterMinAccountAge must be a number of days'),
+      body('iconUpload').optional().isMongoId().withMessage('Invalid icon upload'),
+      body('bannerUpload').optional().isMongoId().withMessage('Invalid banner upload')
     ]
   ],
   async (req, res) => {
@@ -203,16 +289,104 @@ router.put(
     }
     
     try {
-      const { description, rules, type } = req.body;
+      const {
+        description,
+        rules,
+        type,
+        requirePostFlair,
+        publicModLog,
+        publicEditHistory,
+        filterMinKarma,
+        filterMinAccountAge,
+        iconUpload,
+        bannerUpload
+      } = req.body;
       const community = req.community; // Attached by moderator middleware
       
+      // Resolve uploaded images before changing anything
+      const [icon, banner] = await Promise.all([
+        iconUpload ? Upload.findOwned(iconUpload, req.user._id, 'icon') : null,
+        bannerUpload ? Upload.findOwned(bannerUpload, req.user._id, 'banner') : null
+      ]);
+      
+      if ((iconUpload && !icon) || (bannerUpload && !banner)) {
+        return res.status(400).json({ message: 'Invalid image upload' });
+      }
+      
+      // Remember the old values for the mod log
+      const before = settingsSnapshot(community);
+      const rulesBefore = community.rules.map(({ title, description }) => ({ title, description }));
+      const typeBefore = community.type;
+      
       // Update fields
       if (description) community.description = description;
       if (rules) community.rules = rules;
       if (type) community.type = type;
+      if (requirePostFlair !== undefined) {
+        community.requirePostFlair = requirePostFlair === true || requirePostFlair === 'true';
+      }
+      if (publicModLog !== undefined) community.publicModLog = publicModLog === true || publicModLog === 'true';
+      if (publicEditHistory !== undefined) {
+        community.publicEditHistory = publicEditHistory === true || publicEditHistory === 'true';
+      }
+      // Spam filter thresholds are cleared with null
+      if (filterMinKarma !== undefined) {
+        community.filterMinKarma = filterMinKarma === null ? null : parseInt(filterMinKarma);
+      }
+      if (filterMinAccountAge !== undefined) {
+        community.filterMinAccountAge = filterMinAccountAge === null ? null : parseInt(filterMinAccountAge);
+      }
+      if (icon) community.icon = icon.url;
+      if (banner) community.banner = banner.url;
       
       await community.save();
       
+      // Log each kind of change separately so the log can be filtered by it
+      const after = settingsSnapshot(community);
+      const changed = Object.keys(after).filter(key => before[key] !== after[key]);
+      
+      if (changed.length > 0) {
+        await logModAction({
+          community,
+          actor: req.user,
+          action: 'edit_settings',
+          targetType: 'Community',
+          target: community._id,
+          details: {
+            before: Object.fromEntries(changed.map(key => [key, before[key]])),
+            after: Object.fromEntries(changed.map(key => [key, after[key]]))
+          }
+        });
+      }
+      
+      if (rules) {
+        await logModAction({
+          community,
+          actor: req.user,
+          action: 'edit_rules',
+          targetType: 'Community',
+          target: community._id,
+          details: {
+            before: rulesBefore,
+            after: community.rules.map(({ title, description }) => ({ title, description }))
+          }
+        });
+      }
+      
+      if (community.type !== typeBefore) {
+        await logModAction({
+          community,
+          actor: req.user,
+          action: 'change_type',
+          targetType: 'Community',
+          target: community._id,
+          details: { before: typeBefore, after: community.type }
+        });
+        
+        // Going private cuts off live updates for non-members
+        accessChanged(community.name);
+      }
+      
       res.json(community);
     } catch (error) {
       console.error('Update community error:', error);
@@ -222,91 +396,1589 @@ router.put(
 );
 
 // @route   POST /api/communities/:name/join
-// @desc    Join a community
+// @desc    Join a public community, or ask to join a private or restricted one
 // @access  Private
-router.post('/:name/join', protect, async (req, res) => {
+router.post(
+  '/:name/join',
+  [
+    protect,
+    [
+      body('message')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Message cannot exceed 500 characters')
+        .trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const communityName = req.params.name;
+      
+      // Check if community exists
+      const community = await Community.findOne({ name: communityName });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      // Check if user has already joined
+      if (req.user.joinedCommunities.includes(communityName)) {
+        return res.status(400).json({ message: 'Already a member of this community' });
+      }
+      
+      if (await CommunityBan.findActive(communityName, req.user._id)) {
+        return res.status(403).json({ message: 'You are banned from this community' });
+      }
+      
+      // Private and restricted communities only admit members a moderator approved
+      if (community.type !== 'public' && !req.user.isAdmin && !isCommunityModerator(community, req.user)) {
+        const pending = await JoinRequest.exists({
+          community: communityName,
+          user: req.user._id,
+          status: 'pending'
+        });
+        
+        if (pending) {
+          return res.status(400).json({ message: 'Join request already pending' });
+        }
+        
+        const joinRequest = new JoinRequest({
+          community: communityName,
+          user: req.user._id,
+          message: req.body.message || ''
+        });
+        
+        await joinRequest.save();
+        
+        return res.status(202).json({ message: 'Join request sent', request: joinRequest });
+      }
+      
+      // Start a session for transaction
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      
+      try {
+        // Add community to user's joined communities
+        await User.findByIdAndUpdate(
+          req.user._id,
+          { $addToSet: { joinedCommunities: communityName } },
+          { session }
+        );
+        
+        // Increment community member count
+        community.memberCount += 1;
+        await community.save({ session });
+        
+        // Commit transaction
+        await session.commitTransaction();
+        session.endSession();
+        
+        res.json({ message: 'Joined community successfully' });
+      } catch (error) {
+        // Abort transaction on error
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+      }
+    } catch (error) {
+      console.error('Join community error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET /api/communities/:name/requests
+// @desc    List join requests (?status=pending|approved|denied)
+// @access  Private (moderator only)
+router.get('/:name/requests', protect, moderator, modPermission('users'), async (req, res) => {
   try {
-    const communityName = req.params.name;
+    const { status = 'pending', page = 1, limit = 25 } = req.query;
     
-    // Check if community exists
-    const community = await Community.findOne({ name: communityName });
+    const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
+    const requests = await JoinRequest.find({ community: req.community.name, status })
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('user', 'username avatar karma createdAt')
+      .populate('reviewedBy', 'username')
+      .lean();
+    
+    res.json(requests);
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/communities/:name/requests
+// @desc    Approve or deny a join request
+// @access  Private (moderator only)
+router.post(
+  '/:name/requests',
+  [
+    protect,
+    moderator,
+    modPermission('users'),
+    [
+      body('requestId').isMongoId().withMessage('Invalid request ID'),
+      body('action').isIn(['approve', 'deny']).withMessage('Action must be approve or deny'),
+      body('reason')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters')
+        .trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
     
-    // Check if user has already joined
-    if (req.user.joinedCommunities.includes(communityName)) {
-      return res.status(400).json({ message: 'Already a member of this community' });
+    try {
+      const { requestId, action, reason } = req.body;
+      const community = req.community; // Attached by moderator middleware
+      
+      const joinRequest = await JoinRequest.findOne({
+        _id: requestId,
+        community: community.name,
+        status: 'pending'
+      });
+      
+      if (!joinRequest) {
+        return res.status(404).json({ message: 'Join request not found' });
+      }
+      
+      const approved = action === 'approve';
+      let notification;
+      
+      // Start a session for transaction
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      
+      try {
+        joinRequest.status = approved ? 'approved' : 'denied';
+        joinRequest.reviewedBy = req.user._id;
+        joinRequest.reviewedAt = new Date();
+        joinRequest.reason = reason;
+        await joinRequest.save({ session });
+        
+        if (approved) {
+          // Membership only changes once a moderator approves
+          const result = await User.updateOne(
+            { _id: joinRequest.user, joinedCommunities: { $ne: community.name } },
+            { $addToSet: { joinedCommunities: community.name } },
+            { session }
+          );
+          
+          if (result.modifiedCount > 0) {
+            community.memberCount += 1;
+          }
+          
+          // Approved members of a restricted community may post there
+          if (community.type === 'restricted') {
+            community.approvedUsers.addToSet(joinRequest.user);
+          }
+          
+          await community.save({ session });
+        }
+        
+        // Let the requester know the outcome
+        notification = await notify({
+          recipient: joinRequest.user,
+          type: approved ? 'join_request_approved' : 'join_request_denied',
+          actor: req.user._id,
+          community: community.name,
+          message: approved
+            ? `Your request to join r/${community.name} was approved`
+            : `Your request to join r/${community.name} was denied${reason ? `: ${reason}` : ''}`
+        }, { session });
+        
+        // Commit transaction
+        await session.commitTransaction();
+        session.endSession();
+      } catch (error) {
+        // Abort transaction on error
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+      }
+      
+      // Only now that the decision is committed does the requester hear of it
+      publishNotification(notification);
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: approved ? 'approve_join_request' : 'deny_join_request',
+        targetType: 'User',
+        target: joinRequest.user,
+        targetUser: joinRequest.user,
+        details: reason ? { reason } : undefined
+      });
+      
+      res.json({
+        message: approved ? 'Join request approved' : 'Join request denied',
+        request: joinRequest
+      });
+    } catch (error) {
+      console.error('Review join request error:', error);
+      res.status(500).json({ message: 'Server error' });
     }
+  }
+);
+
+// @route   GET /api/communities/:name/contributors
+// @desc    List approved contributors
+// @access  Private (moderator only)
+router.get('/:name/contributors', protect, moderator, modPermission('users'), async (req, res) => {
+  try {
+    const community = await Community.findById(req.community._id)
+      .select('approvedUsers')
+      .populate('approvedUsers', 'username avatar karma')
+      .lean();
     
-    // Start a session for transaction
-    const session = await mongoose.startSession();
-    session.startTransaction();
+    res.json(community.approvedUsers);
+  } catch (error) {
+    console.error('Get contributors error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/communities/:name/contributors
+// @desc    Approve a user to post in the community
+// @access  Private (moderator only)
+router.post(
+  '/:name/contributors',
+  [
+    protect,
+    moderator,
+    modPermission('users'),
+    [
+      body('username').not().isEmpty().withMessage('Username is required').trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     
     try {
-      // Add community to user's joined communities
-      await User.findByIdAndUpdate(
-        req.user._id,
-        { $addToSet: { joinedCommunities: communityName } },
-        { session }
-      );
+      const community = req.community; // Attached by moderator middleware
       
-      // Increment community member count
-      community.memberCount += 1;
-      await community.save({ session });
+      const user = await User.findOne({ username: req.body.username });
       
-      // Commit transaction
-      await session.commitTransaction();
-      session.endSession();
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      community.approvedUsers.addToSet(user._id);
+      await community.save();
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'add_contributor',
+        targetType: 'User',
+        target: user._id,
+        targetUser: user._id
+      });
       
-      res.json({ message: 'Joined community successfully' });
+      res.json({ message: 'User approved' });
     } catch (error) {
-      // Abort transaction on error
-      await session.abortTransaction();
-      session.endSession();
-      throw error;
+      console.error('Add contributor error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE /api/communities/:name/contributors/:username
+// @desc    Remove a user from the approved contributors
+// @access  Private (moderator only)
+router.delete('/:name/contributors/:username', protect, moderator, modPermission('users'), async (req, res) => {
+  try {
+    const community = req.community; // Attached by moderator middleware
+    
+    const user = await User.findOne({ username: req.params.username });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
+    
+    community.approvedUsers.pull(user._id);
+    await community.save();
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: 'remove_contributor',
+      targetType: 'User',
+      target: user._id,
+      targetUser: user._id
+    });
+    
+    res.json({ message: 'User removed from approved contributors' });
   } catch (error) {
-    console.error('Join community error:', error);
+    console.error('Remove contributor error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   POST /api/communities/:name/leave
-// @desc    Leave a community
-// @access  Private
-router.post('/:name/leave', protect, async (req, res) => {
+// Validation shared by creating and editing flair templates
+const flairTemplateValidators = (required) => [
+  (required ? body('text').not().isEmpty() : body('text').optional().not().isEmpty())
+    .withMessage('Flair text is required')
+    .isLength({ max: 64 })
+    .withMessage('Flair text cannot exceed 64 characters')
+    .trim(),
+  body('textColor').optional().isIn(['dark', 'light']).withMessage('Text color must be dark or light'),
+  body('backgroundColor')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Background color must be a hex color like #ff4500'),
+  body('modOnly').optional().isBoolean().withMessage('modOnly must be a boolean'),
+  body('userEditable').optional().isBoolean().withMessage('userEditable must be a boolean')
+];
+
+const FLAIR_TEMPLATE_FIELDS = ['text', 'textColor', 'backgroundColor', 'modOnly', 'userEditable'];
+
+// Find a post or user flair template by id
+const findFlairTemplate = (community, templateId) => {
+  const postFlair = community.postFlairs.id(templateId);
+  if (postFlair) return { kind: 'post', template: postFlair };
+
+  const userFlair = community.userFlairs.id(templateId);
+  if (userFlair) return { kind: 'user', template: userFlair };
+
+  return null;
+};
+
+// @route   GET /api/communities/:name/flair
+// @desc    Get the community's post and user flair templates
+// @access  Public
+router.get('/:name/flair', optionalAuth, async (req, res) => {
   try {
-    const communityName = req.params.name;
-    
-    // Check if community exists
-    const community = await Community.findOne({ name: communityName });
+    const community = await Community.findOne({ name: req.params.name });
     
     if (!community) {
       return res.status(404).json({ message: 'Community not found' });
     }
     
-    // Check if user is a member
-    if (!req.user.joinedCommunities.includes(communityName)) {
-      return res.status(400).json({ message: 'Not a member of this community' });
+    if (!canViewCommunity(community, req.user)) {
+      return res.status(403).json({ message: 'This community is private' });
     }
     
-    // Check if user is the creator
-    if (community.creator.equals(req.user._id)) {
-      return res.status(400).json({ message: 'Creator cannot leave the community' });
-    }
+    // Mod-only flair is not offered to regular users
+    const isModerator = Boolean(req.user) &&
+      (req.user.isAdmin || isCommunityModerator(community, req.user));
+    const offered = templates => templates.filter(template => isModerator || !template.modOnly);
     
-    // Start a session for transaction
-    const session = await mongoose.startSession();
-    session.startTransaction();
+    res.json({
+      postFlairs: offered(community.postFlairs),
+      userFlairs: offered(community.userFlairs),
+      requirePostFlair: community.requirePostFlair
+    });
+  } catch (error) {
+    console.error('Get flair error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/communities/:name/flair
+// @desc    Add a post or user flair template
+// @access  Private (moderator only)
+router.post(
+  '/:name/flair',
+  [
+    protect,
+    moderator,
+    modPermission('flair'),
+    [
+      body('kind').isIn(['post', 'user']).withMessage('Flair kind must be post or user'),
+      ...flairTemplateValidators(true)
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     
     try {
-      // Remove community from user's joined communities
-      await User.findByIdAndUpdate(
-        req.user._id,
-        { $pull: { joinedCommunities: communityName } },
-        { session }
+      const community = req.community; // Attached by moderator middleware
+      const templates = req.body.kind === 'post' ? community.postFlairs : community.userFlairs;
+      
+      const fields = {};
+      FLAIR_TEMPLATE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+      });
+      
+      templates.push(fields);
+      const template = templates[templates.length - 1];
+      
+      await community.save();
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'edit_flair_templates',
+        targetType: 'Community',
+        target: community._id,
+        details: { kind: req.body.kind, after: template.toObject() }
+      });
+      
+      res.status(201).json(template);
+    } catch (error) {
+      console.error('Add flair template error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT /api/communities/:name/flair/:templateId
+// @desc    Edit a flair template; flair already in use keeps its old look
+// @access  Private (moderator only)
+router.put(
+  '/:name/flair/:templateId',
+  [
+    protect,
+    moderator,
+    modPermission('flair'),
+    flairTemplateValidators(false)
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const community = req.community; // Attached by moderator middleware
+      const found = findFlairTemplate(community, req.params.templateId);
+      
+      if (!found) {
+        return res.status(404).json({ message: 'Flair template not found' });
+      }
+      
+      const before = found.template.toObject();
+      
+      FLAIR_TEMPLATE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) found.template[field] = req.body[field];
+      });
+      
+      await community.save();
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'edit_flair_templates',
+        targetType: 'Community',
+        target: community._id,
+        details: { kind: found.kind, before, after: found.template.toObject() }
+      });
+      
+      res.json(found.template);
+    } catch (error) {
+      console.error('Edit flair template error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE /api/communities/:name/flair/:templateId
+// @desc    Delete a flair template; flair already in use is kept
+// @access  Private (moderator only)
+router.delete('/:name/flair/:templateId', protect, moderator, modPermission('flair'), async (req, res) => {
+  try {
+    const community = req.community; // Attached by moderator middleware
+    const found = findFlairTemplate(community, req.params.templateId);
+    
+    if (!found) {
+      return res.status(404).json({ message: 'Flair template not found' });
+    }
+    
+    const before = found.template.toObject();
+    found.template.deleteOne();
+    
+    await community.save();
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: 'edit_flair_templates',
+      targetType: 'Community',
+      target: community._id,
+      details: { kind: found.kind, before }
+    });
+    
+    res.json({ message: 'Flair template deleted' });
+  } catch (error) {
+    console.error('Delete flair template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const userFlairValidators = [
+  body('flairId').isMongoId().withMessage('Invalid flair'),
+  body('flairText')
+    .optional()
+    .isLength({ max: 64 })
+    .withMessage('Flair text cannot exceed 64 characters')
+    .trim()
+];
+
+// Members pick their own flair; moderators can set anyone's (byModerator)
+const setUserFlair = (byModerator) => async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const community = byModerator
+      ? req.community // Attached by moderator middleware
+      : await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const user = byModerator ? await User.findOne({ username: req.params.username }) : req.user;
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const isModerator = moderates(community, req.user, 'flair');
+    
+    if (!byModerator && !isModerator && !user.joinedCommunities.includes(community.name)) {
+      return res.status(403).json({ message: 'Join the community to pick a flair' });
+    }
+    
+    const { flair, error } = pickFlair(community.userFlairs, req.body, isModerator);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const userFlair = await UserFlair.findOneAndUpdate(
+      { community: community.name, user: user._id },
+      { $set: flair },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    
+    if (byModerator) {
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'edit_user_flair',
+        targetType: 'User',
+        target: user._id,
+        targetUser: user._id,
+        details: { after: flair.text }
+      });
+    }
+    
+    res.json(userFlair);
+  } catch (error) {
+    console.error('Set user flair error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const clearUserFlair = (byModerator) => async (req, res) => {
+  try {
+    const user = byModerator ? await User.findOne({ username: req.params.username }) : req.user;
+    
+    const userFlair = user && await UserFlair.findOneAndDelete({
+      community: req.params.name,
+      user: user._id
+    });
+    
+    if (!userFlair) {
+      return res.status(404).json({ message: 'Flair not found' });
+    }
+    
+    if (byModerator) {
+      await logModAction({
+        community: req.community,
+        actor: req.user,
+        action: 'edit_user_flair',
+        targetType: 'User',
+        target: user._id,
+        targetUser: user._id,
+        details: { before: userFlair.text }
+      });
+    }
+    
+    res.json({ message: 'Flair removed' });
+  } catch (error) {
+    console.error('Clear user flair error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   PUT /api/communities/:name/user-flair
+// @desc    Pick your own user flair in a community you joined
+// @access  Private
+router.put('/:name/user-flair', [protect, userFlairValidators], setUserFlair(false));
+
+// @route   DELETE /api/communities/:name/user-flair
+// @desc    Remove your own user flair
+// @access  Private
+router.delete('/:name/user-flair', protect, clearUserFlair(false));
+
+// @route   PUT /api/communities/:name/user-flair/:username
+// @desc    Set a user's flair, including mod-only flair
+// @access  Private (moderator only)
+router.put(
+  '/:name/user-flair/:username',
+  [protect, moderator, modPermission('flair'), userFlairValidators],
+  setUserFlair(true)
+);
+
+// @route   DELETE /api/communities/:name/user-flair/:username
+// @desc    Remove a user's flair
+// @access  Private (moderator only)
+router.delete('/:name/user-flair/:username', protect, moderator, modPermission('flair'), clearUserFlair(true));
+
+// @route   GET /api/communities/:name/moderators
+// @desc    List the moderator team in seniority order
+// @access  Public
+router.get('/:name/moderators', async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name })
+      .select('creator moderators moderatorPermissions')
+      .populate('moderators', 'username avatar')
+      .lean();
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const permissionMap = {};
+    community.moderatorPermissions.forEach(entry => {
+      permissionMap[entry.user.toString()] = entry.permissions;
+    });
+    
+    // The creator always comes first, then moderators in the order they joined
+    const moderators = community.moderators
+      .filter(Boolean)
+      .map(mod => {
+        const isCreator = community.creator.equals(mod._id);
+        return {
+          user: mod,
+          isCreator,
+          permissions: isCreator ? ['all'] : permissionMap[mod._id.toString()] || ['all']
+        };
+      })
+      .sort((a, b) => Number(b.isCreator) - Number(a.isCreator));
+    
+    res.json(moderators);
+  } catch (error) {
+    console.error('Get moderators error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/communities/:name/moderators/invite
+// @desc    Invite a user to the moderator team
+// @access  Private (moderator with full permissions)
+router.post(
+  '/:name/moderators/invite',
+  [
+    protect,
+    moderator,
+    modPermission('all'),
+    [
+      body('username').not().isEmpty().withMessage('Username is required').trim(),
+      body('permissions')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Permissions must be a non-empty list'),
+      body('permissions.*')
+        .isIn(Community.MOD_PERMISSIONS)
+        .withMessage('Invalid moderator permission')
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const community = req.community; // Attached by moderator middleware
+      const { username, permissions = ['all'] } = req.body;
+      
+      const user = await User.findOne({ username });
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (moderatorRank(community, user._id) !== -1) {
+        return res.status(400).json({ message: 'User is already a moderator' });
+      }
+      
+      if (community.moderatorInvites.some(invite => invite.user.equals(user._id))) {
+        return res.status(400).json({ message: 'User has already been invited' });
+      }
+      
+      if (await CommunityBan.findActive(community.name, user._id)) {
+        return res.status(400).json({ message: 'Banned users cannot be invited' });
+      }
+      
+      community.moderatorInvites.push({
+        user: user._id,
+        invitedBy: req.user._id,
+        permissions
+      });
+      
+      await community.save();
+      
+      await notify({
+        recipient: user._id,
+        type: 'moderator_invite',
+        actor: req.user._id,
+        community: community.name,
+        message: `You have been invited to moderate r/${community.name}`
+      });
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'invite_moderator',
+        targetType: 'User',
+        target: user._id,
+        targetUser: user._id,
+        details: { permissions }
+      });
+      
+      res.status(201).json({ message: 'Moderator invitation sent' });
+    } catch (error) {
+      console.error('Invite moderator error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE /api/communities/:name/moderators/invite/:username
+// @desc    Withdraw a moderator invitation
+// @access  Private (moderator with full permissions)
+router.delete('/:name/moderators/invite/:username', protect, moderator, modPermission('all'), async (req, res) => {
+  try {
+    const community = req.community; // Attached by moderator middleware
+    
+    const user = await User.findOne({ username: req.params.username });
+    const invite = user && community.moderatorInvites.find(item => item.user.equals(user._id));
+    
+    if (!invite) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    
+    community.moderatorInvites.pull(invite._id);
+    await community.save();
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: 'uninvite_moderator',
+      targetType: 'User',
+      target: user._id,
+      targetUser: user._id
+    });
+    
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    console.error('Withdraw moderator invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/communities/:name/moderators/accept
+// @desc    Accept a moderator invitation
+// @access  Private
+router.post('/:name/moderators/accept', protect, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const invite = community.moderatorInvites.find(item => item.user.equals(req.user._id));
+    
+    if (!invite) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    
+    // Start a session for transaction
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    
+    try {
+      // New moderators join at the bottom of the seniority order
+      community.moderatorInvites.pull(invite._id);
+      community.moderators.addToSet(req.user._id);
+      community.moderatorPermissions.push({
+        user: req.user._id,
+        permissions: invite.permissions
+      });
+      
+      // Moderators are always members
+      const result = await User.updateOne(
+        { _id: req.user._id, joinedCommunities: { $ne: community.name } },
+        { $addToSet: { joinedCommunities: community.name } },
+        { session }
+      );
+      
+      if (result.modifiedCount > 0) {
+        community.memberCount += 1;
+      }
+      
+      await community.save({ session });
+      
+      // Commit transaction
+      await session.commitTransaction();
+      session.endSession();
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'accept_moderator_invite',
+        targetType: 'User',
+        target: req.user._id,
+        targetUser: req.user._id,
+        details: { permissions: invite.permissions }
+      });
+      
+      res.json({ message: 'You are now a moderator' });
+    } catch (error) {
+      // Abort transaction on error
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  } catch (error) {
+    console.error('Accept moderator invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/communities/:name/moderators/decline
+// @desc    Decline a moderator invitation
+// @access  Private
+router.post('/:name/moderators/decline', protect, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const invite = community.moderatorInvites.find(item => item.user.equals(req.user._id));
+    
+    if (!invite) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    
+    community.moderatorInvites.pull(invite._id);
+    await community.save();
+    
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline moderator invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/communities/:name/moderators/:username
+// @desc    Change the permissions of a more junior moderator
+// @access  Private (moderator with full permissions)
+router.put(
+  '/:name/moderators/:username',
+  [
+    protect,
+    moderator,
+    modPermission('all'),
+    [
+      body('permissions')
+        .isArray({ min: 1 })
+        .withMessage('Permissions must be a non-empty list'),
+      body('permissions.*')
+        .isIn(Community.MOD_PERMISSIONS)
+        .withMessage('Invalid moderator permission')
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const community = req.community; // Attached by moderator middleware
+      
+      const user = await User.findOne({ username: req.params.username });
+      const targetRank = user ? moderatorRank(community, user._id) : -1;
+      
+      if (targetRank === -1) {
+        return res.status(404).json({ message: 'Moderator not found' });
+      }
+      
+      if (targetRank <= moderatorRank(community, req.user._id)) {
+        return res.status(403).json({ message: 'You can only change moderators below you' });
+      }
+      
+      const entry = community.moderatorPermissions.find(item => item.user.equals(user._id));
+      const permissionsBefore = entry ? [...entry.permissions] : ['all'];
+      
+      if (entry) {
+        entry.permissions = req.body.permissions;
+      } else {
+        community.moderatorPermissions.push({ user: user._id, permissions: req.body.permissions });
+      }
+      
+      await community.save();
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'edit_moderator_permissions',
+        targetType: 'User',
+        target: user._id,
+        targetUser: user._id,
+        details: { before: permissionsBefore, after: req.body.permissions }
+      });
+      
+      res.json({ message: 'Moderator permissions updated' });
+    } catch (error) {
+      console.error('Update moderator permissions error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE /api/communities/:name/moderators/:username
+// @desc    Remove a more junior moderator, or step down yourself
+// @access  Private (moderator)
+router.delete('/:name/moderators/:username', protect, moderator, async (req, res) => {
+  try {
+    const community = req.community; // Attached by moderator middleware
+    
+    const user = await User.findOne({ username: req.params.username });
+    const targetRank = user ? moderatorRank(community, user._id) : -1;
+    
+    if (targetRank === -1) {
+      return res.status(404).json({ message: 'Moderator not found' });
+    }
+    
+    if (targetRank === 0) {
+      return res.status(400).json({ message: 'Transfer ownership before removing the creator' });
+    }
+    
+    const isSelf = user._id.equals(req.user._id);
+    
+    if (!isSelf) {
+      if (!hasModPermission(community, req.user, 'all') ||
+          targetRank <= moderatorRank(community, req.user._id)) {
+        return res.status(403).json({ message: 'You can only remove moderators below you' });
+      }
+    }
+    
+    community.moderators.pull(user._id);
+    community.moderatorPermissions = community.moderatorPermissions.filter(
+      entry => !entry.user.equals(user._id)
+    );
+    
+    await community.save();
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: 'remove_moderator',
+      targetType: 'User',
+      target: user._id,
+      targetUser: user._id,
+      details: isSelf ? { selfRemoval: true } : undefined
+    });
+    
+    accessChanged(community.name, user._id);
+    
+    res.json({ message: isSelf ? 'You are no longer a moderator' : 'Moderator removed' });
+  } catch (error) {
+    console.error('Remove moderator error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bans and mutes share the same handlers and differ only in their type
+const restrictionValidators = [
+  body('username').not().isEmpty().withMessage('Username is required').trim(),
+  body('days')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 999 })
+    .withMessage('Duration must be between 1 and 999 days'),
+  body('reason')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters')
+    .trim(),
+  body('note')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters')
+    .trim()
+];
+
+const listRestrictions = (type) => async (req, res) => {
+  try {
+    const restrictions = await CommunityBan.find({
+      community: req.community.name,
+      type,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    })
+      .sort({ createdAt: -1 })
+      .populate('user', 'username avatar')
+      .populate('issuedBy', 'username')
+      .lean();
+    
+    res.json(restrictions);
+  } catch (error) {
+    console.error(`Get ${type}s error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const addRestriction = (type) => async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const community = req.community; // Attached by moderator middleware
+    const { username, days, reason = '', note = '' } = req.body;
+    
+    const user = await User.findOne({ username });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (moderatorRank(community, user._id) !== -1) {
+      return res.status(400).json({ message: `Moderators cannot be ${type === 'ban' ? 'banned' : 'muted'}` });
+    }
+    
+    // Without a duration the restriction is permanent
+    const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+    
+    // Issuing again replaces the previous terms
+    const restriction = await CommunityBan.findOneAndUpdate(
+      { community: community.name, user: user._id, type },
+      { $set: { reason, note, expiresAt, issuedBy: req.user._id } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: type === 'ban' ? 'ban_user' : 'mute_user',
+      targetType: 'User',
+      target: user._id,
+      targetUser: user._id,
+      details: { reason, note, expiresAt }
+    });
+    
+    if (type === 'ban') {
+      accessChanged(community.name, user._id);
+    }
+    
+    res.status(201).json(restriction);
+  } catch (error) {
+    console.error(`Add ${type} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const removeRestriction = (type) => async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+    
+    const restriction = user && await CommunityBan.findOneAndDelete({
+      community: req.community.name,
+      user: user._id,
+      type
+    });
+    
+    if (!restriction) {
+      return res.status(404).json({ message: `${type === 'ban' ? 'Ban' : 'Mute'} not found` });
+    }
+    
+    await logModAction({
+      community: req.community,
+      actor: req.user,
+      action: type === 'ban' ? 'unban_user' : 'unmute_user',
+      targetType: 'User',
+      target: user._id,
+      targetUser: user._id
+    });
+    
+    res.json({ message: type === 'ban' ? 'User unbanned' : 'User unmuted' });
+  } catch (error) {
+    console.error(`Remove ${type} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET /api/communities/:name/bans
+// @desc    List active bans, with private moderator notes
+// @access  Private (moderator only)
+router.get('/:name/bans', protect, moderator, modPermission('users'), listRestrictions('ban'));
+
+// @route   POST /api/communities/:name/bans
+// @desc    Ban a user, permanently or for a number of days
+// @access  Private (moderator only)
+router.post('/:name/bans', [protect, moderator, modPermission('users'), restrictionValidators], addRestriction('ban'));
+
+// @route   DELETE /api/communities/:name/bans/:username
+// @desc    Lift a ban
+// @access  Private (moderator only)
+router.delete('/:name/bans/:username', protect, moderator, modPermission('users'), removeRestriction('ban'));
+
+// @route   GET /api/communities/:name/mutes
+// @desc    List users muted from messaging the moderators
+// @access  Private (moderator only)
+router.get('/:name/mutes', protect, moderator, modPermission('mail'), listRestrictions('mute'));
+
+// @route   POST /api/communities/:name/mutes
+// @desc    Mute a user, permanently or for a number of days
+// @access  Private (moderator only)
+router.post('/:name/mutes', [protect, moderator, modPermission('mail'), restrictionValidators], addRestriction('mute'));
+
+// @route   DELETE /api/communities/:name/mutes/:username
+// @desc    Unmute a user
+// @access  Private (moderator only)
+router.delete('/:name/mutes/:username', protect, moderator, modPermission('mail'), removeRestriction('mute'));
+
+// Body of a modmail message
+const modmailValidators = [
+  body('content')
+    .trim()
+    .not()
+    .isEmpty()
+    .withMessage('Message content is required')
+    .isLength({ max: 10000 })
+    .withMessage('Message cannot exceed 10000 characters')
+];
+
+// @route   POST /api/communities/:name/modmail
+// @desc    Message the moderators of a community (muted users cannot)
+// @access  Private
+router.post('/:name/modmail', [protect, requireVerifiedEmail, modmailValidators], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const community = await Community.findOne({ name: req.params.name }).select('name');
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const mute = await CommunityBan.findActive(community.name, req.user._id, 'mute');
+    if (mute) {
+      let message = `You are muted from messaging the moderators of r/${community.name}`;
+      if (mute.expiresAt) message += ` until ${mute.expiresAt.toISOString()}`;
+      return res.status(403).json({ message });
+    }
+    
+    const { message } = await sendMessage({
+      key: Conversation.modmailKeyFor(community.name, req.user._id),
+      participants: [req.user._id],
+      community: community.name,
+      sender: req.user._id,
+      content: req.body.content
+    });
+    
+    res.status(201).json(message);
+  } catch (error) {
+    console.error('Send modmail error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/communities/:name/modmail
+// @desc    List the community's modmail conversations, latest first
+// @access  Private (moderator only)
+router.get('/:name/modmail', protect, moderator, modPermission('mail'), async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const conversations = await Conversation.find({ community: req.community.name })
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('participants', 'username avatar')
+      .populate('lastMessage')
+      .lean();
+    
+    res.json(conversations);
+  } catch (error) {
+    console.error('Get modmail error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/communities/:name/modmail/:conversationId
+// @desc    Get the messages of a modmail conversation, newest first
+// @access  Private (moderator only)
+router.get('/:name/modmail/:conversationId', protect, moderator, modPermission('mail'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const conversation = await Conversation.findOne({
+      _id: req.params.conversationId,
+      community: req.community.name
+    })
+      .populate('participants', 'username avatar')
+      .lean();
+    
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    const messages = await Message.find({ conversation: conversation._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('sender', 'username avatar')
+      .lean();
+    
+    res.json({ conversation, messages });
+  } catch (error) {
+    console.error('Get modmail conversation error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/communities/:name/modmail/:conversationId
+// @desc    Reply to a modmail conversation on behalf of the mod team
+// @access  Private (moderator only)
+router.post(
+  '/:name/modmail/:conversationId',
+  [protect, moderator, modPermission('mail'), modmailValidators],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const conversation = await Conversation.findOne({
+        _id: req.params.conversationId,
+        community: req.community.name
+      });
+      
+      if (!conversation) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      
+      const [recipient] = conversation.participants;
+      
+      const { message } = await sendMessage({
+        key: conversation.key,
+        participants: conversation.participants,
+        community: conversation.community,
+        sender: req.user._id,
+        recipient,
+        content: req.body.content
+      });
+      
+      publish(channels.user(recipient), 'message', message);
+      
+      res.status(201).json(message);
+    } catch (error) {
+      console.error('Reply to modmail error:', error);
+      
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/communities/:name/transfer
+// @desc    Hand community ownership to another moderator (admins can hand
+//          it to any member)
+// @access  Private (creator or admin)
+router.post(
+  '/:name/transfer',
+  [
+    protect,
+    [
+      body('username').not().isEmpty().withMessage('Username is required').trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const community = await Community.findOne({ name: req.params.name });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      // Admins can rescue communities whose creator is gone
+      if (!community.creator.equals(req.user._id) && !req.user.isAdmin) {
+        return res.status(403).json({ message: 'Only the creator can transfer ownership' });
+      }
+      
+      const user = await User.findOne({ username: req.body.username });
+      const targetRank = user ? moderatorRank(community, user._id) : -1;
+      
+      if (targetRank === 0) {
+        return res.status(400).json({ message: 'User already owns this community' });
+      }
+      
+      // Communities without moderators left can only be rescued by an
+      // admin handing them to one of the members
+      if (targetRank === -1) {
+        if (!req.user.isAdmin) {
+          return res.status(400).json({ message: 'New owner must be a moderator' });
+        }
+        
+        if (!user || !user.joinedCommunities.includes(community.name)) {
+          return res.status(400).json({ message: 'New owner must be a member' });
+        }
+      }
+      
+      const previousCreator = community.creator;
+      
+      // The new owner moves to the top of the team with every permission;
+      // the previous owner stays on as a moderator with full permissions
+      community.creator = user._id;
+      community.moderators = [
+        user._id,
+        ...community.moderators.filter(mod => !mod.equals(user._id))
+      ];
+      community.moderatorPermissions = community.moderatorPermissions.filter(
+        entry => !entry.user.equals(user._id) && !entry.user.equals(previousCreator)
+      );
+      
+      await community.save();
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'transfer_ownership',
+        targetType: 'User',
+        target: user._id,
+        targetUser: user._id,
+        details: { before: previousCreator, after: user._id }
+      });
+      
+      res.json({ message: `Ownership transferred to ${user.username}` });
+    } catch (error) {
+      console.error('Transfer community error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET /api/communities/:name/modlog
+// @desc    Get the community's moderation log
+// @access  Moderators, or anyone who can view the community if the log is public
+router.get('/:name/modlog', optionalAuth, async (req, res) => {
+  try {
+    const { action, moderator: moderatorName, page = 1, limit = 25 } = req.query;
+    
+    const community = await Community.findOne({ name: req.params.name });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const isModerator = Boolean(req.user) &&
+      (req.user.isAdmin || isCommunityModerator(community, req.user));
+    
+    if (!isModerator && !(community.publicModLog && canViewCommunity(community, req.user))) {
+      return res.status(403).json({ message: 'Not authorized to view the mod log' });
+    }
+    
+    const query = { community: community.name };
+    
+    if (action) {
+      if (!ModAction.MOD_ACTIONS.includes(action)) {
+        return res.status(400).json({ message: 'Invalid action type' });
+      }
+      query.action = action;
+    }
+    
+    if (moderatorName) {
+      const actor = await User.findOne({ username: moderatorName }).select('_id');
+      
+      if (!actor) {
+        return res.json([]);
+      }
+      query.actor = actor._id;
+    }
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const entries = await ModAction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('actor', 'username')
+      .populate('targetUser', 'username')
+      .lean();
+    
+    // Reasons and private notes stay with the mod team
+    if (!isModerator) {
+      entries.forEach(entry => {
+        delete entry.details;
+      });
+    }
+    
+    res.json(entries);
+  } catch (error) {
+    console.error('Get mod log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/communities/:name/modqueue
+// @desc    List reported, filtered or unmoderated posts and comments
+// @access  Private (moderator only)
+router.get('/:name/modqueue', protect, moderator, modPermission('posts'), async (req, res) => {
+  try {
+    const { type = 'modqueue', only, page = 1, limit = 25 } = req.query;
+    
+    // The default queue holds everything that needs a decision
+    let filter;
+    if (type === 'modqueue') {
+      filter = { $or: [MODQUEUE_FILTERS.reported, MODQUEUE_FILTERS.filtered] };
+    } else if (MODQUEUE_FILTERS[type]) {
+      filter = MODQUEUE_FILTERS[type];
+    } else {
+      return res.status(400).json({ message: 'Invalid queue type' });
+    }
+    
+    const query = { community: req.community.name, ...filter };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // Posts and comments are merged by date, so each collection has to
+    // supply enough items to fill the requested page on its own
+    const fetchCount = skip + parseInt(limit);
+    
+    const [posts, comments] = await Promise.all([
+      only === 'comments' ? [] : Post.find(query)
+        .select('+reportCount +ignoreReports -votes')
+        .sort({ createdAt: -1 })
+        .limit(fetchCount)
+        .populate('author', 'username')
+        .lean(),
+      only === 'posts' ? [] : Comment.find(query)
+        .select('+reportCount +ignoreReports -votes')
+        .sort({ createdAt: -1 })
+        .limit(fetchCount)
+        .populate('author', 'username')
+        .populate('post', 'title')
+        .lean()
+    ]);
+    
+    const items = [
+      ...posts.map(post => ({ kind: 'post', ...post })),
+      ...comments.map(comment => ({ kind: 'comment', ...comment }))
+    ]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(skip, skip + parseInt(limit));
+    
+    // Attach open report counts per reason
+    const reports = await summarizeReports(items.map(item => item._id));
+    items.forEach(item => {
+      item.reports = reports[item._id.toString()] || [];
+    });
+    
+    res.json(items);
+  } catch (error) {
+    console.error('Get mod queue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/communities/:name/leave
+// @desc    Leave a community
+// @access  Private
+router.post('/:name/leave', protect, async (req, res) => {
+  try {
+    const communityName = req.params.name;
+    
+    // Check if community exists
+    const community = await Community.findOne({ name: communityName });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    // Check if user is a member
+    if (!req.user.joinedCommunities.includes(communityName)) {
+      return res.status(400).json({ message: 'Not a member of this community' });
+    }
+    
+    // Check if user is the creator
+    if (community.creator.equals(req.user._id)) {
+      return res.status(400).json({ message: 'Creator cannot leave the community' });
+    }
+    
+    // Start a session for transaction
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    
+    try {
+      // Remove community from user's joined communities
+      await User.findByIdAndUpdate(
+        req.user._id,
+        { $pull: { joinedCommunities: communityName } },
+        { session }
       );
       
       // Decrement community member count
@@ -317,6 +1989,9 @@ router.post('/:name/leave', protect, async (req, res) => {
         community.moderators = community.moderators.filter(
           mod => !mod.equals(req.user._id)
         );
+        community.moderatorPermissions = community.moderatorPermissions.filter(
+          entry => !entry.user.equals(req.user._id)
+        );
       }
       
       await community.save({ session });
@@ -325,6 +2000,8 @@ router.post('/:name/leave', protect, async (req, res) => {
       await session.commitTransaction();
       session.endSession();
       
+      accessChanged(community.name, req.user._id);
+      
       res.json({ message: 'Left community successfully' });
     } catch (error) {
       // Abort transaction on error
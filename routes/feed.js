@@ -0,0 +1,241 @@
+const express = require('express');
+const Post = require('../models/Post');
+const Community = require('../models/Community');
+const Vote = require('../models/Vote');
+const HiddenPost = require('../models/HiddenPost');
+const Follow = require('../models/Follow');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { applyVisibilityFilter } = require('../utils/communityAccess');
+const { attachPollResults } = require('../utils/poll');
+const { attachAuthorFlair } = require('../utils/flair');
+const { attachSavedStatus } = require('../utils/saved');
+
+const router = express.Router();
+
+// Time windows for the top sort (?t=), in hours
+const TOP_WINDOWS = {
+  hour: 1,
+  day: 24,
+  week: 24 * 7,
+  month: 24 * 30,
+  year: 24 * 365
+};
+
+// Rising only looks at posts this young
+const RISING_WINDOW_HOURS = 24;
+
+// The popular feed draws from this many of the largest communities
+const POPULAR_COMMUNITY_COUNT = 100;
+
+const HOUR = 60 * 60 * 1000;
+
+// Rank posts that are picking up votes and comments quickly. The score is
+// computed on the fly, so only the page's ids come out of the pipeline.
+const findRisingIds = async (query, skip, limit) => {
+  const ranked = await Post.aggregate([
+    { $match: { ...query, createdAt: { $gte: new Date(Date.now() - RISING_WINDOW_HOURS * HOUR) } } },
+    {
+      $addFields: {
+        risingScore: {
+          $divide: [
+            { $add: [{ $subtract: ['$upvotes', '$downvotes'] }, '$commentCount'] },
+            { $add: [{ $divide: [{ $subtract: ['$$NOW', '$createdAt'] }, HOUR] }, 2] }
+          ]
+        }
+      }
+    },
+    { $sort: { risingScore: -1, createdAt: -1 } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } }
+  ]);
+
+  return ranked.map(post => post._id);
+};
+
+// Fetch a page of feed posts matching `query`, leaving out removed and
+// deleted posts as well as posts the user hid or that come from users they
+// blocked, and add the usual per-user fields
+const getFeedPosts = async (req, query) => {
+  const { sort = 'hot', t = 'day', page = 1, limit = 25 } = req.query;
+  
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  query.removed = { $ne: true };
+  query.deleted = { $ne: true };
+  
+  if (req.user) {
+    // Hidden posts are left out by the query itself, so every page is full
+    const hidden = await HiddenPost.distinct('post', { user: req.user._id });
+    
+    if (hidden.length > 0) {
+      query._id = { $nin: hidden };
+    }
+    
+    if (req.user.blockedUsers && req.user.blockedUsers.length > 0) {
+      query.author = { ...query.author, $nin: req.user.blockedUsers };
+    }
+  }
+  
+  let posts;
+  if (sort === 'rising') {
+    const ids = await findRisingIds(query, skip, parseInt(limit));
+    const found = await Post.find({ _id: { $in: ids } })
+      .populate('author', 'username avatar karma')
+      .lean();
+    
+    // Restore the rising order
+    const byId = {};
+    found.forEach(post => {
+      byId[post._id.toString()] = post;
+    });
+    posts = ids.map(id => byId[id.toString()]).filter(Boolean);
+  } else {
+    // Determine sort order
+    let sortOptions;
+    switch (sort) {
+      case 'new':
+        sortOptions = { createdAt: -1 };
+        break;
+      case 'top':
+        if (TOP_WINDOWS[t]) {
+          query.createdAt = { $gte: new Date(Date.now() - TOP_WINDOWS[t] * HOUR) };
+        }
+        sortOptions = { upvotes: -1, createdAt: -1 };
+        break;
+      case 'hot':
+      default:
+        sortOptions = { hotScore: -1, createdAt: -1 };
+        break;
+    }
+    
+    posts = await Post.find(query)
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('author', 'username avatar karma')
+      .lean();
+  }
+  
+  // If user is authenticated, add their vote and saved status
+  if (req.user) {
+    const userVotes = await Vote.find({
+      user: req.user._id,
+      targetType: 'Post',
+      target: { $in: posts.map(post => post._id) }
+    });
+    
+    const voteMap = {};
+    userVotes.forEach(vote => {
+      voteMap[vote.target.toString()] = vote.value;
+    });
+    
+    posts.forEach(post => {
+      post.userVote = voteMap[post._id.toString()] || 0;
+    });
+    
+    await attachSavedStatus(posts, req.user);
+  }
+  
+  await attachPollResults(posts, req.user);
+  await attachAuthorFlair(posts);
+  
+  return posts;
+};
+
+// Posts from every community that is not private
+const allQuery = async () => {
+  const privateCommunities = await Community.find({ type: 'private' }).select('name').lean();
+  
+  return { community: { $nin: privateCommunities.map(community => community.name) } };
+};
+
+// Posts from the largest public communities
+const popularQuery = async () => {
+  const communities = await Community.find({ type: 'public' })
+    .sort({ memberCount: -1 })
+    .limit(POPULAR_COMMUNITY_COUNT)
+    .select('name')
+    .lean();
+  
+  return { community: { $in: communities.map(community => community.name) } };
+};
+
+// Ids of the users someone follows
+const followedIds = async (user) => {
+  const follows = await Follow.find({ follower: user._id }).select('following').lean();
+  
+  return follows.map(follow => follow.following);
+};
+
+// @route   GET /api/feed
+// @desc    Get the home feed built from the user's joined communities and
+//          followed users (?sort=hot|new|top|rising, ?t for top)
+// @access  Public (signed-out users get the popular feed)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const followed = req.user ? await followedIds(req.user) : [];
+    
+    // Nothing to build a home feed from: show what is popular instead
+    if (!req.user || (req.user.joinedCommunities.length === 0 && followed.length === 0)) {
+      return res.json(await getFeedPosts(req, await popularQuery()));
+    }
+    
+    // Followed users' posts can come from private communities
+    const query = await applyVisibilityFilter({
+      $or: [
+        { community: { $in: req.user.joinedCommunities } },
+        { author: { $in: followed } }
+      ]
+    }, req.user);
+    
+    const posts = await getFeedPosts(req, query);
+    
+    res.json(posts);
+  } catch (error) {
+    console.error('Get home feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/feed/following
+// @desc    Get posts by the users you follow
+// @access  Private
+router.get('/following', protect, async (req, res) => {
+  try {
+    const query = await applyVisibilityFilter({
+      author: { $in: await followedIds(req.user) }
+    }, req.user);
+    
+    res.json(await getFeedPosts(req, query));
+  } catch (error) {
+    console.error('Get following feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/feed/popular
+// @desc    Get posts from the largest public communities
+// @access  Public
+router.get('/popular', optionalAuth, async (req, res) => {
+  try {
+    res.json(await getFeedPosts(req, await popularQuery()));
+  } catch (error) {
+    console.error('Get popular feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/feed/all
+// @desc    Get posts from every community that is not private
+// @access  Public
+router.get('/all', optionalAuth, async (req, res) => {
+  try {
+    res.json(await getFeedPosts(req, await allQuery()));
+  } catch (error) {
+    console.error('Get all feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { DELETED } = require('../utils/deletion');
+const { channels, publish } = require('../utils/events');
+const { sendMessage } = require('../utils/messages');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reason the sender may not message the recipient, or null if they may.
+// Blocks work both ways; the recipient's karma and account age thresholds
+// only apply to the sender.
+const messageDenial = (sender, recipient) => {
+  if (recipient.blockedUsers.some(id => id.equals(sender._id)) ||
+      (sender.blockedUsers || []).some(id => id.equals(recipient._id))) {
+    return 'You cannot message this user';
+  }
+  
+  if (recipient.messageMinKarma != null && sender.karma < recipient.messageMinKarma) {
+    return 'This user does not accept messages from accounts with this little karma';
+  }
+  
+  if (recipient.messageMinAccountAge != null &&
+      Date.now() - sender.createdAt.getTime() < recipient.messageMinAccountAge * DAY_MS) {
+    return 'This user does not accept messages from accounts this new';
+  }
+  
+  return null;
+};
+
+// Conversation the user takes part in, or null
+const findConversation = (id, user) => Conversation.findOne({
+  _id: id,
+  participants: user._id
+});
+
+// @route   GET /api/messages
+// @desc    Get the inbox: conversations by latest message, with unread counts
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const conversations = await Conversation.find({ participants: req.user._id })
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('participants', 'username avatar')
+      .populate('lastMessage')
+      .lean();
+    
+    const [unread, unreadCount] = await Promise.all([
+      Message.aggregate([
+        {
+          $match: {
+            recipient: req.user._id,
+            conversation: { $in: conversations.map(conversation => conversation._id) },
+            readAt: null,
+            deleted: false
+          }
+        },
+        { $group: { _id: '$conversation', count: { $sum: 1 } } }
+      ]),
+      Message.countDocuments({ recipient: req.user._id, readAt: null, deleted: false })
+    ]);
+    
+    const unreadMap = {};
+    unread.forEach(item => {
+      unreadMap[item._id.toString()] = item.count;
+    });
+    
+    conversations.forEach(conversation => {
+      conversation.otherUser = conversation.participants.find(
+        user => user && !user._id.equals(req.user._id)
+      ) || null;
+      conversation.unreadCount = unreadMap[conversation._id.toString()] || 0;
+    });
+    
+    res.json({ conversations, unreadCount });
+  } catch (error) {
+    console.error('Get inbox error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/messages
+// @desc    Send a private message to a user
+// @access  Private
+router.post(
+  '/',
+  [
+    protect,
+    requireVerifiedEmail,
+    [
+      body('recipient', 'Recipient is required').trim().not().isEmpty(),
+      body('content')
+        .trim()
+        .not()
+        .isEmpty()
+        .withMessage('Message content is required')
+        .isLength({ max: 10000 })
+        .withMessage('Message cannot exceed 10000 characters')
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const { recipient: username, content } = req.body;
+      
+      const recipient = await User.findOne({ username })
+        .select('username blockedUsers messageMinKarma messageMinAccountAge');
+      
+      if (!recipient) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (recipient._id.equals(req.user._id)) {
+        return res.status(400).json({ message: 'You cannot message yourself' });
+      }
+      
+      const denied = messageDenial(req.user, recipient);
+      if (denied) {
+        return res.status(403).json({ message: denied });
+      }
+      
+      const { message } = await sendMessage({
+        key: Conversation.keyFor(req.user._id, recipient._id),
+        participants: [req.user._id, recipient._id],
+        sender: req.user._id,
+        recipient: recipient._id,
+        content
+      });
+      
+      const result = {
+        ...message.toObject(),
+        sender: { _id: req.user._id, username: req.user.username, avatar: req.user.avatar }
+      };
+      
+      publish(channels.user(recipient._id), 'message', result);
+      
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Send message error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET /api/messages/:conversationId
+// @desc    Get the messages of a conversation, newest first
+// @access  Private
+router.get('/:conversationId', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const conversation = await findConversation(req.params.conversationId, req.user)
+      .populate('participants', 'username avatar')
+      .lean();
+    
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    const messages = await Message.find({ conversation: conversation._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('sender', 'username avatar')
+      .lean();
+    
+    res.json({ conversation, messages });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/messages/:conversationId/read
+// @desc    Mark the messages received in a conversation as read
+// @access  Private
+router.post('/:conversationId/read', protect, async (req, res) => {
+  try {
+    const conversation = await findConversation(req.params.conversationId, req.user);
+    
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    const readAt = new Date();
+    const result = await Message.updateMany(
+      { conversation: conversation._id, recipient: req.user._id, readAt: null },
+      { $set: { readAt } }
+    );
+    
+    // Let the other side show read receipts (modmail has no other participant)
+    const other = conversation.participants.find(id => !id.equals(req.user._id));
+    if (result.modifiedCount > 0 && other) {
+      publish(channels.user(other), 'messages_read', {
+        conversation: conversation._id,
+        reader: req.user._id,
+        readAt
+      });
+    }
+    
+    res.json({ message: 'Conversation marked as read', readAt });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/messages/:conversationId/:messageId
+// @desc    Delete a message you sent
+// @access  Private
+router.delete('/:conversationId/:messageId', protect, async (req, res) => {
+  try {
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      conversation: req.params.conversationId
+    });
+    
+    if (!message || message.deleted) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    
+    if (!message.sender.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to delete this message' });
+    }
+    
+    // The message keeps its place in the conversation as "[deleted]"
+    message.content = DELETED;
+    message.deleted = true;
+    message.deletedAt = new Date();
+    await message.save();
+    
+    if (message.recipient) {
+      publish(channels.user(message.recipient), 'message_deleted', {
+        _id: message._id,
+        conversation: message.conversation
+      });
+    }
+    
+    res.json({ message: 'Message deleted' });
+  } catch (error) {
+    console.error('Delete message error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
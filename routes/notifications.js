@@ -0,0 +1,190 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first (?unread=true)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 25 } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const query = { recipient: req.user._id };
+    
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+    
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('actor', 'username avatar')
+      .populate('post', 'title')
+      .lean();
+    
+    res.json(notifications);
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.post('/read-all', protect, async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    
+    res.json({ message: 'All notifications marked as read' });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.post('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+    
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    
+    res.json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/settings
+// @desc    Get the notification types and threads the user muted
+// @access  Private
+router.get('/settings', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('mutedNotificationTypes mutedThreads')
+      .populate('mutedThreads', 'title community')
+      .lean();
+    
+    res.json({
+      types: Notification.NOTIFICATION_TYPES,
+      mutedTypes: user.mutedNotificationTypes,
+      mutedThreads: user.mutedThreads.filter(Boolean)
+    });
+  } catch (error) {
+    console.error('Get notification settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/settings
+// @desc    Choose which notification types to mute
+// @access  Private
+router.put(
+  '/settings',
+  [
+    protect,
+    [
+      body('mutedTypes').isArray().withMessage('mutedTypes must be a list'),
+      body('mutedTypes.*')
+        .isIn(Notification.NOTIFICATION_TYPES)
+        .withMessage('Invalid notification type')
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const mutedTypes = [...new Set(req.body.mutedTypes)];
+      
+      await User.updateOne(
+        { _id: req.user._id },
+        { $set: { mutedNotificationTypes: mutedTypes } }
+      );
+      
+      res.json({ mutedTypes });
+    } catch (error) {
+      console.error('Update notification settings error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/notifications/threads/:postId/mute
+// @desc    Stop notifications about replies and mentions in a thread
+// @access  Private
+router.post('/threads/:postId/mute', protect, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId).select('_id');
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { mutedThreads: post._id } });
+    
+    res.json({ message: 'Thread muted' });
+  } catch (error) {
+    console.error('Mute thread error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/notifications/threads/:postId/mute
+// @desc    Turn thread notifications back on
+// @access  Private
+router.delete('/threads/:postId/mute', protect, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $pull: { mutedThreads: req.params.postId } });
+    
+    res.json({ message: 'Thread unmuted' });
+  } catch (error) {
+    console.error('Unmute thread error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,92 +1,219 @@
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query: queryParam, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Community = require('../models/Community');
 const Vote = require('../models/Vote');
+const PollVote = require('../models/PollVote');
+const Report = require('../models/Report');
+const Revision = require('../models/Revision');
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+const Upload = require('../models/Upload');
 const User = require('../models/User');
-const { protect, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { commentSortOptions } = require('../utils/ranking');
+const { parseTreeOptions, loadCommentTree, buildCommentTree, walkCommentTree } = require('../utils/commentTree');
+const { buildPoll, isPollClosed, attachPollResults } = require('../utils/poll');
+const { canonicalizeUrl } = require('../utils/url');
+const { fetchLinkMetadata } = require('../utils/linkPreview');
+const {
+  checkCommunityAccess,
+  applyVisibilityFilter,
+  canModerate,
+  moderates,
+  moderatedCommunity
+} = require('../utils/communityAccess');
+const { maskRemovedPost, maskRemovedComment, spamFilterRemoval } = require('../utils/moderation');
+const { logModAction } = require('../utils/modLog');
+const { deletePost } = require('../utils/deletion');
+const { applyEdit, canViewRevisions } = require('../utils/revisions');
+const { pickFlair, attachAuthorFlair } = require('../utils/flair');
+const { attachSavedStatus } = require('../utils/saved');
+const { notify, notifyMentions } = require('../utils/notifications');
+const { resolveReportReason, fileReport, resolveReports } = require('../utils/reports');
+const { channels, publish } = require('../utils/events');
 
 const router = express.Router();
 
+// Pinned posts per community
+const MAX_PINNED_POSTS = 2;
+
 // @route   GET /api/posts
 // @desc    Get all posts or filter by community/author
 // @access  Public
-router.get('/', optionalAuth, async (req, res) => {
+router.get(
+  '/',
+  [
+    optionalAuth,
+    [
+      // Filters go straight into the query, so only plain strings are accepted
+      queryParam('community').optional().isString().withMessage('Invalid community'),
+      queryParam('author').optional().isString().withMessage('Invalid author'),
+      queryParam('flair').optional().isString().withMessage('Invalid flair')
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const { community, author, flair, sort = 'hot', page = 1, limit = 10 } = req.query;
+      
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      
+      // Build query
+      const query = {};
+      
+      if (community) {
+        // Private communities are only visible to their members
+        const denied = await checkCommunityAccess(community, req.user);
+        if (denied) {
+          return res.status(denied.status).json({ message: denied.message });
+        }
+        
+        query.community = community;
+        
+        // Moderators still see removed posts in their community
+        if (!(await canModerate(community, req.user, 'posts'))) {
+          query.removed = { $ne: true };
+        }
+      } else {
+        await applyVisibilityFilter(query, req.user);
+        query.removed = { $ne: true };
+      }
+      
+      // Deleted posts are only reachable through their comments
+      query.deleted = { $ne: true };
+      
+      if (flair) {
+        query['flair.text'] = flair;
+      }
+      
+      if (author) {
+        const authorUser = await User.findOne({ username: author });
+        if (authorUser) {
+          query.author = authorUser._id;
+        } else {
+          return res.json([]);
+        }
+      }
+      
+      // Determine sort order
+      let sortOptions = {};
+      switch (sort) {
+        case 'new':
+          sortOptions = { createdAt: -1 };
+          break;
+        case 'top':
+          sortOptions = { upvotes: -1 };
+          break;
+        case 'controversial':
+          sortOptions = { commentCount: -1 };
+          break;
+        case 'hot':
+        default:
+          // Hot is a combination of recency and votes
+          sortOptions = { hotScore: -1, createdAt: -1 };
+          break;
+      }
+      
+      // Pinned posts lead the first page of a community, whatever the sort,
+      // and take up its first slots; later pages continue after them
+      let pinnedPosts = [];
+      let postSkip = skip;
+      let postLimit = parseInt(limit);
+      if (community) {
+        if (skip === 0) {
+          pinnedPosts = await Post.find({ ...query, pinned: true })
+            .sort({ pinnedAt: 1 })
+            .limit(postLimit)
+            .populate('author', 'username avatar karma')
+            .lean();
+          postLimit -= pinnedPosts.length;
+        } else {
+          const pinnedCount = await Post.countDocuments({ ...query, pinned: true });
+          postSkip = Math.max(0, skip - pinnedCount);
+        }
+        query.pinned = { $ne: true };
+      }
+      
+      // Get posts
+      const posts = postLimit > 0
+        ? await Post.find(query)
+          .sort(sortOptions)
+          .skip(postSkip)
+          .limit(postLimit)
+          .populate('author', 'username avatar karma')
+          .lean()
+        : [];
+      
+      posts.unshift(...pinnedPosts);
+      
+      // If user is authenticated, add their vote and saved status
+      if (req.user) {
+        const userVotes = await Vote.find({
+          user: req.user._id,
+          targetType: 'Post',
+          target: { $in: posts.map(post => post._id) }
+        });
+        
+        const voteMap = {};
+        userVotes.forEach(vote => {
+          voteMap[vote.target.toString()] = vote.value;
+        });
+        
+        posts.forEach(post => {
+          post.userVote = voteMap[post._id.toString()] || 0;
+        });
+        
+        await attachSavedStatus(posts, req.user);
+      }
+      
+      await attachPollResults(posts, req.user);
+      await attachAuthorFlair(posts);
+      
+      res.json(posts);
+    } catch (error) {
+      console.error('Get posts error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET /api/posts/by-url
+// @desc    Find earlier submissions of a link (repost check)
+// @access  Public
+router.get('/by-url', optionalAuth, async (req, res) => {
   try {
-    const { community, author, sort = 'hot', page = 1, limit = 10 } = req.query;
+    const url = canonicalizeUrl(req.query.url);
     
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    if (!url) {
+      return res.status(400).json({ message: 'A valid http(s) URL is required' });
+    }
     
-    // Build query
-    const query = {};
+    // The same page is often submitted over both http and https
+    const variants = [url, url.replace(/^https?:/, url.startsWith('https:') ? 'http:' : 'https:')];
     
-    if (community) {
-      query.community = community;
-    }
+    const query = await applyVisibilityFilter(
+      { url: { $in: variants }, removed: { $ne: true }, deleted: { $ne: true } },
+      req.user
+    );
     
-    if (author) {
-      const authorUser = await User.findOne({ username: author });
-      if (authorUser) {
-        query.author = authorUser._id;
-      } else {
-        return res.json([]);
-      }
-    }
-    
-    // Determine sort order
-    let sortOptions = {};
-    switch (sort) {
-      case 'new':
-        sortOptions = { createdAt: -1 };
-        break;
-      case 'top':
-        sortOptions = { upvotes: -1 };
-        break;
-      case 'controversial':
-        sortOptions = { commentCount: -1 };
-        break;
-      case 'hot':
-      default:
-        // Hot is a combination of recency and votes
-        sortOptions = { 
-          _score: { $meta: "textScore" },
-          createdAt: -1 
-        };
-        break;
-    }
-    
-    // Get posts
     const posts = await Post.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
+      .sort({ createdAt: -1 })
+      .limit(25)
       .populate('author', 'username avatar karma')
       .lean();
     
-    // If user is authenticated, add their vote status
-    if (req.user) {
-      const userVotes = await Vote.find({
-        user: req.user._id,
-        targetType: 'Post',
-        target: { $in: posts.map(post => post._id) }
-      });
-      
-      const voteMap = {};
-      userVotes.forEach(vote => {
-        voteMap[vote.target.toString()] = vote.value;
-      });
-      
-      posts.forEach(post => {
-        post.userVote = voteMap[post._id.toString()] || 0;
-      });
-    }
-    
-    res.json(posts);
+    res.json({ url, posts });
   } catch (error) {
-    console.error('Get posts error:', error);
+    console.error('Get posts by url error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -104,7 +231,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
     
-    // If user is authenticated, add their vote status
+    const denied = await checkCommunityAccess(post.community, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    
+    // If user is authenticated, add their vote and saved status
     if (req.user) {
       const vote = await Vote.findOne({
         user: req.user._id,
@@ -113,8 +245,15 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
       
       post.userVote = vote ? vote.value : 0;
+      
+      await attachSavedStatus([post], req.user);
     }
     
+    maskRemovedPost(post, req.user, await canModerate(post.community, req.user, 'posts'));
+    
+    await attachPollResults([post], req.user);
+    await attachAuthorFlair([post]);
+    
     res.json(post);
   } catch (error) {
     console.error('Get post error:', error);
@@ -134,10 +273,23 @@ router.post(
   '/',
   [
     protect,
+    requireVerifiedEmail,
     [
       body('title').not().isEmpty().withMessage('Title is required').trim(),
       body('community').not().isEmpty().withMessage('Community is required').trim(),
-      body('postType').isIn(['text', 'image', 'link', 'poll']).withMessage('Invalid post type')
+      body('postType').isIn(['text', 'image', 'link', 'poll']).withMessage('Invalid post type'),
+      body('url')
+        .if(body('postType').equals('link'))
+        .not().isEmpty().withMessage('URL is required for link posts')
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('URL must be a valid http(s) link'),
+      body('imageUpload').optional().isMongoId().withMessage('Invalid image upload'),
+      body('flairId').optional().isMongoId().withMessage('Invalid flair'),
+      body('flairText')
+        .optional()
+        .isLength({ max: 64 })
+        .withMessage('Flair text cannot exceed 64 characters')
+        .trim()
     ]
   ],
   async (req, res) => {
@@ -148,7 +300,8 @@ router.post(
     }
     
     try {
-      const { title, content, image, community, postType } = req.body;
+      const { title, content, community, postType, imageUpload } = req.body;
+      let { image } = req.body;
       
       // Check if community exists
       const communityDoc = await Community.findOne({ name: community });
@@ -157,6 +310,69 @@ router.post(
         return res.status(404).json({ message: 'Community not found' });
       }
       
+      // Private communities need membership, restricted ones approval, and
+      // banned users cannot post at all
+      const denied = await checkCommunityAccess(community, req.user, 'post');
+      if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+      }
+      
+      // Flair has to be one of the community's post flairs
+      let flair;
+      if (req.body.flairId) {
+        const isModerator = moderates(communityDoc, req.user, 'flair');
+        const result = pickFlair(communityDoc.postFlairs, req.body, isModerator);
+        
+        if (result.error) {
+          return res.status(400).json({ message: result.error });
+        }
+        
+        flair = result.flair;
+      } else if (communityDoc.requirePostFlair) {
+        return res.status(400).json({ message: 'Posts in this community need a flair' });
+      }
+      
+      // An uploaded image takes the place of an external image URL
+      if (imageUpload) {
+        const upload = await Upload.findOwned(imageUpload, req.user._id, 'post');
+        
+        if (!upload) {
+          return res.status(400).json({ message: 'Invalid image upload' });
+        }
+        
+        image = upload.url;
+      }
+      
+      // Poll posts need their options up front
+      let poll;
+      if (postType === 'poll') {
+        const result = buildPoll(req.body);
+        
+        if (result.error) {
+          return res.status(400).json({ message: result.error });
+        }
+        
+        poll = result.poll;
+      }
+      
+      // Link posts store the canonical URL plus preview metadata
+      let url;
+      let linkPreview;
+      if (postType === 'link') {
+        url = canonicalizeUrl(req.body.url);
+        
+        if (!url) {
+          return res.status(400).json({ message: 'URL must be a valid http(s) link' });
+        }
+        
+        linkPreview = await fetchLinkMetadata(url);
+      }
+      
+      // Moderators' posts skip the spam filter
+      const removal = moderates(communityDoc, req.user, 'posts')
+        ? null
+        : spamFilterRemoval(communityDoc, req.user);
+      
       // Create new post
       const newPost = new Post({
         title,
@@ -164,14 +380,37 @@ router.post(
         image,
         author: req.user._id,
         community,
-        postType: postType || 'text'
+        postType: postType || 'text',
+        poll,
+        url,
+        linkPreview,
+        flair,
+        removed: Boolean(removal),
+        removal: removal || undefined
       });
       
       await newPost.save();
       
+      // Filtered posts stay quiet until a moderator approves them
+      if (!removal) {
+        await notifyMentions({
+          text: `${title}\n${content || ''}`,
+          community: communityDoc,
+          actor: req.user,
+          post: newPost._id
+        });
+      }
+      
       // Populate author for response
       const post = await Post.findById(newPost._id)
-        .populate('author', 'username avatar karma');
+        .populate('author', 'username avatar karma')
+        .lean();
+      
+      if (!removal) {
+        publish(channels.community(post.community), 'post_created', post);
+      }
+      
+      await attachPollResults([post], req.user);
       
       res.status(201).json(post);
     } catch (error) {
@@ -203,7 +442,7 @@ router.put(
     try {
       const post = await Post.findById(req.params.id);
       
-      if (!post) {
+      if (!post || post.deleted) {
         return res.status(404).json({ message: 'Post not found' });
       }
       
@@ -212,15 +451,27 @@ router.put(
         return res.status(403).json({ message: 'Not authorized to update this post' });
       }
       
-      // Update fields
+      // Update fields, keeping the previous version as a revision
       const { title, content } = req.body;
       
-      if (title) post.title = title;
-      if (content !== undefined) post.content = content;
+      await applyEdit(post, 'Post', req.user, { title: title || undefined, content });
       
       await post.save();
       
-      res.json(post);
+      if (!post.removed) {
+        publish(channels.post(post._id), 'post_updated', {
+          _id: post._id,
+          title: post.title,
+          content: post.content,
+          edited: post.edited,
+          updatedAt: post.updatedAt
+        });
+      }
+      
+      const result = post.toObject();
+      await attachPollResults([result], req.user);
+      
+      res.json(result);
     } catch (error) {
       console.error('Update post error:', error);
       
@@ -231,7 +482,356 @@ router.put(
       res.status(500).json({ message: 'Server error' });
     }
   }
-);
+);
+
+// @route   GET /api/posts/:id/revisions
+// @desc    Get the edit history of a post, newest first
+// @access  Author and moderators, or public if the community allows it
+router.get('/:id/revisions', optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('author community removed');
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const denied = await checkCommunityAccess(post.community, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    
+    if (!(await canViewRevisions(post, post.community, req.user))) {
+      // Removed posts have no history to show to the public
+      if (post.removed) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      return res.status(403).json({ message: 'Not authorized to view the edit history' });
+    }
+    
+    const revisions = await Revision.find({ target: post._id })
+      .sort({ createdAt: -1 })
+      .populate('editor', 'username')
+      .lean();
+    
+    res.json(revisions);
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/posts/:id/flair
+// @desc    Change or clear a post's flair
+// @access  Private (author or moderator)
+router.put(
+  '/:id/flair',
+  [
+    protect,
+    [
+      body('flairId').optional({ values: 'null' }).isMongoId().withMessage('Invalid flair'),
+      body('flairText')
+        .optional()
+        .isLength({ max: 64 })
+        .withMessage('Flair text cannot exceed 64 characters')
+        .trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const post = await Post.findById(req.params.id);
+      
+      if (!post || post.deleted) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      const community = await Community.findOne({ name: post.community });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      const isAuthor = post.author.equals(req.user._id);
+      const isModerator = moderates(community, req.user, 'flair');
+      
+      if (!isAuthor && !isModerator) {
+        return res.status(403).json({ message: 'Not authorized to change this flair' });
+      }
+      
+      const before = post.flair && post.flair.text;
+      
+      if (req.body.flairId) {
+        const { flair, error } = pickFlair(community.postFlairs, req.body, isModerator);
+        
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        
+        post.flair = flair;
+      } else {
+        // Authors cannot take off a flair the community requires
+        if (community.requirePostFlair && !isModerator) {
+          return res.status(400).json({ message: 'Posts in this community need a flair' });
+        }
+        
+        post.flair = undefined;
+      }
+      
+      await post.save();
+      
+      if (!isAuthor) {
+        await logModAction({
+          community,
+          actor: req.user,
+          action: 'edit_post_flair',
+          targetType: 'Post',
+          target: post._id,
+          targetUser: post.author,
+          details: { before, after: post.flair && post.flair.text }
+        });
+      }
+      
+      const result = post.toObject();
+      await attachPollResults([result], req.user);
+      
+      res.json(result);
+    } catch (error) {
+      console.error('Update post flair error:', error);
+      
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Shared handler for pinning and locking posts and undoing either
+const setPostState = (field, value) => async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    
+    if (!post || post.deleted) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await moderatedCommunity(post.community, req.user, 'posts');
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    const label = value ? field : `un${field}`;
+    
+    if (post[field] === value) {
+      return res.status(400).json({ message: `Post is already ${label}` });
+    }
+    
+    if (field === 'pinned') {
+      post.pinnedAt = value ? new Date() : undefined;
+    }
+    
+    post[field] = value;
+    await post.save();
+    
+    // Pin first and count afterwards, so of two concurrent pins at least one
+    // sees the other and backs out instead of both going over the limit
+    if (field === 'pinned' && value) {
+      const pinnedCount = await Post.countDocuments({ community: post.community, pinned: true });
+      
+      if (pinnedCount > MAX_PINNED_POSTS) {
+        await Post.updateOne({ _id: post._id }, { $set: { pinned: false }, $unset: { pinnedAt: 1 } });
+        
+        return res.status(400).json({
+          message: `A community can pin at most ${MAX_PINNED_POSTS} posts`
+        });
+      }
+    }
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: `${value ? '' : 'un'}${field === 'pinned' ? 'pin' : 'lock'}_post`,
+      targetType: 'Post',
+      target: post._id,
+      targetUser: post.author
+    });
+    
+    const result = post.toObject();
+    await attachPollResults([result], req.user);
+    
+    res.json({ message: `Post ${label}`, post: result });
+  } catch (error) {
+    console.error('Update post state error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   POST /api/posts/:id/pin
+// @desc    Pin a post to the top of its community
+// @access  Private (moderator only)
+router.post('/:id/pin', protect, setPostState('pinned', true));
+
+// @route   DELETE /api/posts/:id/pin
+// @desc    Unpin a post
+// @access  Private (moderator only)
+router.delete('/:id/pin', protect, setPostState('pinned', false));
+
+// @route   POST /api/posts/:id/lock
+// @desc    Lock a thread against new comments
+// @access  Private (moderator only)
+router.post('/:id/lock', protect, setPostState('locked', true));
+
+// @route   DELETE /api/posts/:id/lock
+// @desc    Unlock a thread
+// @access  Private (moderator only)
+router.delete('/:id/lock', protect, setPostState('locked', false));
+
+// @route   POST /api/posts/:id/save
+// @desc    Save a post, optionally into a category
+// @access  Private
+router.post(
+  '/:id/save',
+  [
+    protect,
+    [
+      body('category')
+        .optional({ values: 'null' })
+        .isLength({ max: 32 })
+        .withMessage('Category cannot exceed 32 characters')
+        .trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const post = await Post.findById(req.params.id).select('community deleted');
+      
+      if (!post || post.deleted) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      const denied = await checkCommunityAccess(post.community, req.user);
+      if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+      }
+      
+      // Saving again just moves the item to another category
+      const savedItem = await SavedItem.findOneAndUpdate(
+        { user: req.user._id, target: post._id },
+        { $set: { targetType: 'Post', category: req.body.category || null } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      
+      res.json(savedItem);
+    } catch (error) {
+      console.error('Save post error:', error);
+      
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE /api/posts/:id/save
+// @desc    Unsave a post
+// @access  Private
+router.delete('/:id/save', protect, async (req, res) => {
+  try {
+    const result = await SavedItem.deleteOne({ user: req.user._id, target: req.params.id });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Post is not saved' });
+    }
+    
+    res.json({ message: 'Post unsaved' });
+  } catch (error) {
+    console.error('Unsave post error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/posts/:id/hide
+// @desc    Hide a post from your feeds
+// @access  Private
+router.post('/:id/hide', protect, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('community');
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const denied = await checkCommunityAccess(post.community, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    
+    await HiddenPost.updateOne(
+      { user: req.user._id, post: post._id },
+      { $setOnInsert: { user: req.user._id, post: post._id } },
+      { upsert: true }
+    );
+    
+    res.json({ message: 'Post hidden' });
+  } catch (error) {
+    console.error('Hide post error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/posts/:id/hide
+// @desc    Unhide a post
+// @access  Private
+router.delete('/:id/hide', protect, async (req, res) => {
+  try {
+    await HiddenPost.deleteOne({ user: req.user._id, post: req.params.id });
+    
+    res.json({ message: 'Post unhidden' });
+  } catch (error) {
+    console.error('Unhide post error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
 // @route   DELETE /api/posts/:id
 // @desc    Delete a post
@@ -240,7 +840,7 @@ router.delete('/:id', protect, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     
-    if (!post) {
+    if (!post || post.deleted) {
       return res.status(404).json({ message: 'Post not found' });
     }
     
@@ -249,14 +849,15 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this post' });
     }
     
-    // Delete post and its comments
-    await Promise.all([
-      post.deleteOne(),
-      Comment.deleteMany({ post: post._id }),
-      Vote.deleteMany({ targetType: 'Post', target: post._id })
-    ]);
+    // Comments stay, under a "[deleted]" placeholder if there are any
+    await deletePost(post);
+    
+    // The post's score no longer counts towards the author's karma
+    await req.user.updateKarma();
+    
+    publish(channels.post(post._id), 'post_deleted', { _id: post._id });
     
-    res.json({ message: 'Post removed' });
+    res.json({ message: 'Post deleted' });
   } catch (error) {
     console.error('Delete post error:', error);
     
@@ -287,6 +888,15 @@ router.post('/:id/vote', protect, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
     
+    if (post.deleted) {
+      return res.status(400).json({ message: 'Cannot vote on a deleted post' });
+    }
+    
+    const denied = await checkCommunityAccess(post.community, req.user, 'participate');
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    
     // Start a session for transaction
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -360,7 +970,16 @@ router.post('/:id/vote', protect, async (req, res) => {
       await session.commitTransaction();
       session.endSession();
       
-      res.json({ message: 'Vote recorded', post });
+      publish(channels.post(post._id), 'post_votes', {
+        _id: post._id,
+        upvotes: post.upvotes,
+        downvotes: post.downvotes
+      });
+      
+      const result = post.toObject();
+      await attachPollResults([result], req.user);
+      
+      res.json({ message: 'Vote recorded', post: result });
     } catch (error) {
       // Abort transaction on error
       await session.abortTransaction();
@@ -373,76 +992,414 @@ router.post('/:id/vote', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/posts/:id/poll/vote
+// @desc    Vote in a poll, or change the vote while the poll is open
+// @access  Private
+router.post('/:id/poll/vote', protect, async (req, res) => {
+  try {
+    const { optionId } = req.body;
+    
+    const post = await Post.findById(req.params.id);
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const denied = await checkCommunityAccess(post.community, req.user, 'participate');
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    
+    if (post.postType !== 'poll' || !post.poll) {
+      return res.status(400).json({ message: 'This post is not a poll' });
+    }
+    
+    if (isPollClosed(post.poll)) {
+      return res.status(400).json({ message: 'This poll is closed' });
+    }
+    
+    const option = mongoose.Types.ObjectId.isValid(optionId)
+      ? post.poll.options.id(optionId)
+      : null;
+    
+    if (!option) {
+      return res.status(400).json({ message: 'Invalid poll option' });
+    }
+    
+    // Start a session for transaction
+    const session = await mongoose.startSession();
+    
+    try {
+      // Tallies change with $inc, and withTransaction retries the whole
+      // vote when a concurrent one causes a write conflict
+      await session.withTransaction(async () => {
+        const pollVote = await PollVote.findOne({
+          post: post._id,
+          user: req.user._id
+        }).session(session);
+        
+        if (!pollVote) {
+          await PollVote.create([{
+            post: post._id,
+            user: req.user._id,
+            option: option._id
+          }], { session });
+          
+          await Post.updateOne(
+            { _id: post._id },
+            { $inc: { 'poll.totalVotes': 1, 'poll.options.$[chosen].votes': 1 } },
+            { arrayFilters: [{ 'chosen._id': option._id }], session }
+          );
+        } else if (!pollVote.option.equals(option._id)) {
+          // Move an existing vote to the new option
+          const previous = pollVote.option;
+          
+          pollVote.option = option._id;
+          await pollVote.save({ session });
+          
+          await Post.updateOne(
+            { _id: post._id },
+            { $inc: { 'poll.options.$[previous].votes': -1, 'poll.options.$[chosen].votes': 1 } },
+            { arrayFilters: [{ 'previous._id': previous }, { 'chosen._id': option._id }], session }
+          );
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+    
+    const result = await Post.findById(post._id).lean();
+    await attachPollResults([result], req.user);
+    
+    res.json({ message: 'Poll vote recorded', poll: result.poll });
+  } catch (error) {
+    console.error('Poll vote error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/posts/:id/remove
+// @desc    Remove a post as a moderator, optionally citing a community rule
+// @access  Private (moderator only)
+router.post(
+  '/:id/remove',
+  [
+    protect,
+    [
+      body('reason')
+        .optional()
+        .isLength({ max: 300 })
+        .withMessage('Reason cannot exceed 300 characters')
+        .trim(),
+      body('ruleId').optional().isMongoId().withMessage('Invalid rule')
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const post = await Post.findById(req.params.id);
+      
+      if (!post) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      const community = await moderatedCommunity(post.community, req.user, 'posts');
+      
+      if (!community) {
+        return res.status(403).json({ message: 'Not authorized as moderator' });
+      }
+      
+      const { reason, ruleId } = req.body;
+      const rule = ruleId ? community.rules.id(ruleId) : null;
+      
+      if (ruleId && !rule) {
+        return res.status(400).json({ message: 'Rule not found' });
+      }
+      
+      post.removed = true;
+      post.removal = {
+        by: req.user._id,
+        at: new Date(),
+        reason: reason || (rule ? rule.title : ''),
+        rule: rule ? rule._id : undefined
+      };
+      post.approvedBy = undefined;
+      post.approvedAt = undefined;
+      
+      await post.save();
+      
+      await resolveReports(Post, post, req.user);
+      
+      await logModAction({
+        community,
+        actor: req.user,
+        action: 'remove_post',
+        targetType: 'Post',
+        target: post._id,
+        targetUser: post.author,
+        details: { reason: post.removal.reason, rule: post.removal.rule }
+      });
+      
+      await notify({
+        recipient: post.author,
+        type: 'post_removed',
+        actor: req.user._id,
+        community: post.community,
+        post: post._id,
+        message: `Your post "${post.title}" was removed from r/${post.community}` +
+          (post.removal.reason ? `: ${post.removal.reason}` : '')
+      });
+      
+      const result = post.toObject();
+      await attachPollResults([result], req.user);
+      
+      res.json({ message: 'Post removed', post: result });
+    } catch (error) {
+      console.error('Remove post error:', error);
+      
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/posts/:id/approve
+// @desc    Approve a post, restoring it if it was removed
+// @access  Private (moderator only)
+router.post('/:id/approve', protect, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await moderatedCommunity(post.community, req.user, 'posts');
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    post.removed = false;
+    post.removal = undefined;
+    post.approvedBy = req.user._id;
+    post.approvedAt = new Date();
+    
+    await post.save();
+    
+    await resolveReports(Post, post, req.user);
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: 'approve_post',
+      targetType: 'Post',
+      target: post._id,
+      targetUser: post.author
+    });
+    
+    const result = post.toObject();
+    await attachPollResults([result], req.user);
+    
+    res.json({ message: 'Post approved', post: result });
+  } catch (error) {
+    console.error('Approve post error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/posts/:id/report
+// @desc    Report a post to the community's moderators
+// @access  Private
+router.post(
+  '/:id/report',
+  [
+    protect,
+    [
+      body('ruleId').optional().isMongoId().withMessage('Invalid rule'),
+      body('siteReason')
+        .optional()
+        .isIn(Object.keys(Report.SITE_REPORT_REASONS))
+        .withMessage('Invalid report reason'),
+      body('details')
+        .optional()
+        .isLength({ max: 300 })
+        .withMessage('Details cannot exceed 300 characters')
+        .trim()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const post = await Post.findById(req.params.id);
+      
+      if (!post) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      const community = await Community.findOne({ name: post.community });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      const denied = await checkCommunityAccess(community.name, req.user);
+      if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+      }
+      
+      const { rule, siteReason, reason, error } = resolveReportReason(community, req.body);
+      
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      
+      const report = await fileReport(Post, post, community, req.user, {
+        rule,
+        siteReason,
+        reason,
+        details: req.body.details
+      });
+      
+      if (!report) {
+        return res.status(400).json({ message: 'You have already reported this post' });
+      }
+      
+      res.status(201).json({ message: 'Post reported' });
+    } catch (error) {
+      console.error('Report post error:', error);
+      
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Shared handler for ignoring and un-ignoring reports on a post
+const setIgnoreReports = (ignore) => async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await moderatedCommunity(post.community, req.user, 'posts');
+    
+    if (!community) {
+      return res.status(403).json({ message: 'Not authorized as moderator' });
+    }
+    
+    await Post.updateOne({ _id: post._id }, { ignoreReports: ignore });
+    
+    // Reports filed so far are dealt with by ignoring them
+    if (ignore) {
+      await resolveReports(Post, post, req.user);
+    }
+    
+    await logModAction({
+      community,
+      actor: req.user,
+      action: ignore ? 'ignore_reports' : 'unignore_reports',
+      targetType: 'Post',
+      target: post._id,
+      targetUser: post.author
+    });
+    
+    res.json({ message: ignore ? 'Reports ignored' : 'Reports no longer ignored' });
+  } catch (error) {
+    console.error('Ignore reports error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   POST /api/posts/:id/ignore-reports
+// @desc    Keep a post out of the mod queue no matter how often it is reported
+// @access  Private (moderator only)
+router.post('/:id/ignore-reports', protect, setIgnoreReports(true));
+
+// @route   DELETE /api/posts/:id/ignore-reports
+// @desc    Let reports on a post reach the mod queue again
+// @access  Private (moderator only)
+router.delete('/:id/ignore-reports', protect, setIgnoreReports(false));
+
 // @route   GET /api/posts/:id/comments
-// @desc    Get comments for a post
+// @desc    Get the comment tree for a post (?depth, ?breadth, ?limit, ?cursor)
 // @access  Public
 router.get('/:id/comments', optionalAuth, async (req, res) => {
   try {
     const { sort = 'best' } = req.query;
+    const treeOptions = parseTreeOptions(req.query);
     
-    // Determine sort order
-    let sortOptions = {};
-    switch (sort) {
-      case 'new':
-        sortOptions = { createdAt: -1 };
-        break;
-      case 'old':
-        sortOptions = { createdAt: 1 };
-        break;
-      case 'controversial':
-        sortOptions = { downvotes: -1 };
-        break;
-      case 'best':
-      default:
-        sortOptions = { upvotes: -1, createdAt: -1 };
-        break;
-    }
-    
-    // Get top-level comments
-    const comments = await Comment.find({
-      post: req.params.id,
-      parentId: null
-    })
-      .sort(sortOptions)
-      .populate('author', 'username avatar karma')
-      .lean();
+    const post = await Post.findById(req.params.id).select('community');
     
-    // Get all replies for these comments
-    const commentIds = comments.map(comment => comment._id);
-    const replies = await Comment.find({
-      post: req.params.id,
-      parentId: { $in: commentIds }
-    })
-      .populate('author', 'username avatar karma')
-      .lean();
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
     
-    // Create a map of parent comment to replies
-    const replyMap = {};
-    replies.forEach(reply => {
-      const parentId = reply.parentId.toString();
-      if (!replyMap[parentId]) {
-        replyMap[parentId] = [];
-      }
-      replyMap[parentId].push(reply);
-    });
+    const denied = await checkCommunityAccess(post.community, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
     
-    // Add replies to each comment
-    comments.forEach(comment => {
-      comment.replies = replyMap[comment._id.toString()] || [];
+    // Get a page of top-level comments and the replies below them. Only
+    // top-level comments can be pinned, so the pinned one comes first,
+    // followed by comments distinguished as moderator or admin.
+    const { comments, total } = await loadCommentTree({
+      post: post._id,
+      sort: { pinned: -1, distinguished: -1, ...commentSortOptions(sort) },
+      ...treeOptions
     });
     
-    // If user is authenticated, add their vote status
+    // Removed comments keep their place in the thread but not their content
+    const isModerator = await canModerate(post.community, req.user, 'posts');
+    comments.forEach(comment => maskRemovedComment(comment, req.user, isModerator));
+    
+    await attachAuthorFlair(comments);
+    
+    // Nest replies under their parents, cutting off with "more" stubs
+    const tree = buildCommentTree(comments, { ...treeOptions, total });
+    
+    // If user is authenticated, add their vote and saved status
     if (req.user) {
-      // Get all comment IDs (including replies)
-      const allCommentIds = [
-        ...comments.map(c => c._id),
-        ...replies.map(r => r._id)
-      ];
+      const treeComments = [];
+      walkCommentTree(tree, comment => treeComments.push(comment));
       
       const userVotes = await Vote.find({
         user: req.user._id,
         targetType: 'Comment',
-        target: { $in: allCommentIds }
+        target: { $in: treeComments.map(comment => comment._id) }
       });
       
       const voteMap = {};
@@ -450,20 +1407,21 @@ router.get('/:id/comments', optionalAuth, async (req, res) => {
         voteMap[vote.target.toString()] = vote.value;
       });
       
-      // Add user vote to comments
-      comments.forEach(comment => {
+      treeComments.forEach(comment => {
         comment.userVote = voteMap[comment._id.toString()] || 0;
-        
-        // Add user vote to replies
-        (comment.replies || []).forEach(reply => {
-          reply.userVote = voteMap[reply._id.toString()] || 0;
-        });
       });
+      
+      await attachSavedStatus(treeComments, req.user);
     }
     
-    res.json(comments);
+    res.json(tree);
   } catch (error) {
     console.error('Get comments error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -475,6 +1433,7 @@ router.post(
   '/:id/comments',
   [
     protect,
+    requireVerifiedEmail,
     [
       body('content').not().isEmpty().withMessage('Comment content is required').trim()
     ]
@@ -489,12 +1448,29 @@ router.post(
     try {
       const post = await Post.findById(req.params.id);
       
-      if (!post) {
+      // Deleted posts take no new comments
+      if (!post || post.deleted) {
         return res.status(404).json({ message: 'Post not found' });
       }
       
+      const denied = await checkCommunityAccess(post.community, req.user, 'participate');
+      if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+      }
+      
       const { content, parentId } = req.body;
       
+      // Moderators can still comment in locked threads
+      const bypassesLock = await canModerate(post.community, req.user, 'posts');
+      
+      if (post.locked && !bypassesLock) {
+        return res.status(403).json({ message: 'This thread is locked' });
+      }
+      
+      let ancestors = [];
+      let depth = 0;
+      let parentAuthor = null;
+      
       // If this is a reply, verify parent comment exists
       if (parentId) {
         const parentComment = await Comment.findById(parentId);
@@ -506,18 +1482,47 @@ router.post(
         if (parentComment.post.toString() !== req.params.id) {
           return res.status(400).json({ message: 'Parent comment does not belong to this post' });
         }
+        
+        ancestors = [...parentComment.ancestors, parentComment._id];
+        depth = parentComment.depth + 1;
+        parentAuthor = parentComment.author;
+        
+        // A locked comment closes its whole subtree
+        if (!bypassesLock && await Comment.exists({ _id: { $in: ancestors }, locked: true })) {
+          return res.status(403).json({ message: 'This comment thread is locked' });
+        }
       }
       
+      const community = await Community.findOne({ name: post.community });
+      const removal = bypassesLock ? null : spamFilterRemoval(community, req.user);
+      
       // Create comment
       const newComment = new Comment({
         content,
         author: req.user._id,
         post: req.params.id,
-        parentId: parentId || null
+        community: post.community,
+        parentId: parentId || null,
+        ancestors,
+        depth,
+        removed: Boolean(removal),
+        removal: removal || undefined
       });
       
       await newComment.save();
       
+      if (parentId) {
+        await Comment.updateOne({ _id: parentId }, { $inc: { replyCount: 1 } });
+        
+        // Flag the whole thread for Q&A sorting when the post author replies
+        if (post.author && post.author.equals(req.user._id)) {
+          await Comment.updateMany(
+            { _id: { $in: ancestors } },
+            { $set: { hasOpReply: true } }
+          );
+        }
+      }
+      
       // Increment post comment count
       post.commentCount += 1;
       await post.save();
@@ -526,6 +1531,36 @@ router.post(
       const comment = await Comment.findById(newComment._id)
         .populate('author', 'username avatar karma');
       
+      // Filtered comments stay quiet until a moderator approves them
+      if (removal) {
+        return res.status(201).json(comment);
+      }
+      
+      // Let the author of the post or parent comment know about the reply
+      const repliedTo = parentId ? parentAuthor : post.author;
+      await notify({
+        recipient: repliedTo,
+        type: parentId ? 'comment_reply' : 'post_reply',
+        actor: req.user._id,
+        community: post.community,
+        post: post._id,
+        comment: newComment._id,
+        message: parentId
+          ? `u/${req.user.username} replied to your comment in r/${post.community}`
+          : `u/${req.user.username} commented on your post "${post.title}"`
+      });
+      
+      await notifyMentions({
+        text: content,
+        community,
+        actor: req.user,
+        post: post._id,
+        comment: newComment._id,
+        skip: [repliedTo]
+      });
+      
+      publish(channels.post(post._id), 'comment_created', comment);
+      
       res.status(201).json(comment);
     } catch (error) {
       console.error('Create comment error:', error);
@@ -4,6 +4,9 @@ const Post = require('../models/Post');
 const Community = require('../models/Community');
 const User = require('../models/User');
 const { optionalAuth } = require('../middleware/auth');
+const { attachPollResults } = require('../utils/poll');
+const { applyVisibilityFilter } = require('../utils/communityAccess');
+const { attachSavedStatus } = require('../utils/saved');
 
 const router = express.Router();
 
@@ -48,14 +51,23 @@ router.get('/', optionalAuth, async (req, res) => {
         case 'comments':
           sortOptions = { commentCount: -1 };
           break;
+        case 'hot':
+          sortOptions = { hotScore: -1, createdAt: -1 };
+          break;
         case 'relevance':
         default:
           sortOptions = { score: { $meta: 'textScore' } };
           break;
       }
       
+      // Leave out posts from private communities the user can't see
+      const postQuery = await applyVisibilityFilter(
+        { $text: { $search: q }, removed: { $ne: true }, deleted: { $ne: true } },
+        req.user
+      );
+      
       const postsPromise = Post.find(
-        { $text: { $search: q } },
+        postQuery,
         { score: { $meta: 'textScore' } }
       )
         .sort(sortOptions)
@@ -102,7 +114,7 @@ router.get('/', optionalAuth, async (req, res) => {
     // Wait for all searches to complete
     await Promise.all(searchPromises);
     
-    // If user is authenticated, add their vote status to posts
+    // If user is authenticated, add their vote and saved status to posts
     if (req.user && results.posts.length > 0) {
       const Vote = require('../models/Vote');
       
@@ -120,8 +132,12 @@ router.get('/', optionalAuth, async (req, res) => {
       results.posts.forEach(post => {
         post.userVote = voteMap[post._id.toString()] || 0;
       });
+      
+      await attachSavedStatus(results.posts, req.user);
     }
     
+    await attachPollResults(results.posts, req.user);
+    
     res.json(results);
   } catch (error) {
     console.error('Search error:', error);
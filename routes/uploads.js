@@ -0,0 +1,106 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const Upload = require('../models/Upload');
+const { protect } = require('../middleware/auth');
+const { MAX_UPLOAD_BYTES, MEDIA_RULES, processImage } = require('../utils/media');
+const { getStorage } = require('../utils/storage');
+
+const router = express.Router();
+
+// Keep files in memory: they are sniffed and resized before being stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Parse a single "file" field, answering multer errors with a 400
+const singleFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : 'Invalid upload';
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
+// @route   POST /api/uploads
+// @desc    Upload an image (multipart: file, kind = post|avatar|icon|banner)
+// @access  Private
+router.post('/', protect, singleFile, async (req, res) => {
+  try {
+    const { kind = 'post' } = req.body;
+    
+    if (!MEDIA_RULES[kind]) {
+      return res.status(400).json({ message: 'Invalid upload kind' });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+    
+    const image = await processImage(req.file.buffer, kind);
+    
+    if (image.error) {
+      return res.status(400).json({ message: image.error });
+    }
+    
+    // Store the re-encoded image and thumbnail under a random, unguessable name
+    const storage = getStorage();
+    const name = crypto.randomBytes(16).toString('hex');
+    const key = `${kind}/${req.user._id}/${name}.${image.extension}`;
+    const thumbnailKey = `${kind}/${req.user._id}/${name}_thumb.webp`;
+    
+    const [url, thumbnailUrl] = await Promise.all([
+      storage.save(key, image.image, image.mimeType),
+      storage.save(thumbnailKey, image.thumbnail, 'image/webp')
+    ]);
+    
+    const newUpload = new Upload({
+      uploader: req.user._id,
+      kind,
+      mimeType: image.mimeType,
+      size: image.image.length,
+      width: image.width,
+      height: image.height,
+      key,
+      url,
+      thumbnailKey,
+      thumbnailUrl
+    });
+    
+    await newUpload.save();
+    
+    res.status(201).json(newUpload);
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/uploads/:id
+// @desc    Get an upload record
+// @access  Private (uploader or admin)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const upload = await Upload.findById(req.params.id);
+    
+    // Other users' uploads are reported as missing rather than forbidden
+    if (!upload || !(req.user.isAdmin || upload.uploader.equals(req.user._id))) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+    
+    res.json(upload);
+  } catch (error) {
+    console.error('Get upload error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,23 +4,326 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const Upload = require('../models/Upload');
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+const Follow = require('../models/Follow');
 const { protect, optionalAuth } = require('../middleware/auth');
+const { commentSortOptions } = require('../utils/ranking');
+const { attachPollResults } = require('../utils/poll');
+const { applyVisibilityFilter, hiddenCommunityNames } = require('../utils/communityAccess');
+const { maskRemovedPost, maskRemovedComment } = require('../utils/moderation');
+const { attachSavedStatus } = require('../utils/saved');
 
 const router = express.Router();
 
+// Fields anyone can see on a profile; everything else stays private
+const PUBLIC_PROFILE_FIELDS = 'username avatar bio karma joinedCommunities followerCount followingCount allowFollowers isAdmin createdAt';
+
+// @route   GET /api/users/me/saved
+// @desc    Get the current user's saved posts and comments (?type, ?category)
+// @access  Private
+router.get('/me/saved', protect, async (req, res) => {
+  try {
+    const { type, category, page = 1, limit = 25 } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const query = { user: req.user._id };
+    
+    if (type === 'posts') {
+      query.targetType = 'Post';
+    } else if (type === 'comments') {
+      query.targetType = 'Comment';
+    } else if (type) {
+      return res.status(400).json({ message: 'Type must be posts or comments' });
+    }
+    
+    if (category) {
+      query.category = category;
+    }
+    
+    const savedItems = await SavedItem.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate({
+        path: 'target',
+        populate: { path: 'author', select: 'username avatar karma' }
+      })
+      .lean();
+    
+    // Saved comments link back to their post
+    await Comment.populate(
+      savedItems.filter(item => item.targetType === 'Comment' && item.target).map(item => item.target),
+      { path: 'post', select: 'title community deleted' }
+    );
+    
+    // Leave out content that is gone or in private communities the user
+    // can no longer see
+    const hidden = await hiddenCommunityNames(req.user);
+    const visible = savedItems.filter(
+      item => item.target && item.target.community && !hidden.includes(item.target.community)
+    );
+    
+    visible.forEach(item => {
+      if (item.targetType === 'Post') {
+        maskRemovedPost(item.target, req.user, false);
+      } else {
+        maskRemovedComment(item.target, req.user, false);
+      }
+    });
+    
+    res.json(visible);
+  } catch (error) {
+    console.error('Get saved items error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/saved/categories
+// @desc    Get the categories the current user saves into
+// @access  Private
+router.get('/me/saved/categories', protect, async (req, res) => {
+  try {
+    const categories = await SavedItem.distinct('category', {
+      user: req.user._id,
+      category: { $ne: null }
+    });
+    
+    res.json(categories.sort());
+  } catch (error) {
+    console.error('Get saved categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/hidden
+// @desc    Get the posts the current user hid from their feeds
+// @access  Private
+router.get('/me/hidden', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const hiddenPosts = await HiddenPost.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate({
+        path: 'post',
+        select: 'title community author createdAt deleted removed',
+        populate: { path: 'author', select: 'username' }
+      })
+      .lean();
+    
+    res.json(hiddenPosts.filter(item => item.post).map(item => item.post));
+  } catch (error) {
+    console.error('Get hidden posts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/blocked
+// @desc    Get the users the current user blocked
+// @access  Private
+router.get('/me/blocked', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blockedUsers')
+      .populate('blockedUsers', 'username avatar')
+      .lean();
+    
+    res.json(user.blockedUsers);
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/:username/block
+// @desc    Block a user, leaving their posts out of your feeds
+// @access  Private
+router.post('/:username/block', protect, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+    
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: user._id } });
+    
+    // A blocked user stops following you
+    const follow = await Follow.findOneAndDelete({ follower: user._id, following: req.user._id });
+    if (follow) {
+      await Promise.all([
+        User.updateOne({ _id: req.user._id }, { $inc: { followerCount: -1 } }),
+        User.updateOne({ _id: user._id }, { $inc: { followingCount: -1 } })
+      ]);
+    }
+    
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/:username/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:username/block', protect, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: user._id } });
+    
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/:username/follow
+// @desc    Follow a user
+// @access  Private
+router.post('/:username/follow', protect, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username })
+      .select('allowFollowers blockedUsers');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+    
+    // Blocked users are told the same as everyone else who may not follow
+    if (!user.allowFollowers || user.blockedUsers.some(id => id.equals(req.user._id))) {
+      return res.status(403).json({ message: 'This user does not accept followers' });
+    }
+    
+    try {
+      await Follow.create({ follower: req.user._id, following: user._id });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Already following this user' });
+      }
+      throw error;
+    }
+    
+    await Promise.all([
+      User.updateOne({ _id: user._id }, { $inc: { followerCount: 1 } }),
+      User.updateOne({ _id: req.user._id }, { $inc: { followingCount: 1 } })
+    ]);
+    
+    res.json({ message: 'User followed' });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/:username/follow
+// @desc    Unfollow a user
+// @access  Private
+router.delete('/:username/follow', protect, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    
+    const follow = user && await Follow.findOneAndDelete({
+      follower: req.user._id,
+      following: user._id
+    });
+    
+    if (!follow) {
+      return res.status(404).json({ message: 'Not following this user' });
+    }
+    
+    await Promise.all([
+      User.updateOne({ _id: user._id }, { $inc: { followerCount: -1 } }),
+      User.updateOne({ _id: req.user._id }, { $inc: { followingCount: -1 } })
+    ]);
+    
+    res.json({ message: 'User unfollowed' });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List one side of a user's follow relationships: their followers
+// ('following' matches the user) or the users they follow
+const listFollows = (side) => async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const other = side === 'following' ? 'follower' : 'following';
+    
+    const follows = await Follow.find({ [side]: user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate(other, 'username avatar karma')
+      .lean();
+    
+    res.json(follows.filter(follow => follow[other]).map(follow => follow[other]));
+  } catch (error) {
+    console.error('Get follows error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET /api/users/:username/followers
+// @desc    Get the users following a user
+// @access  Public
+router.get('/:username/followers', listFollows('following'));
+
+// @route   GET /api/users/:username/following
+// @desc    Get the users a user follows
+// @access  Public
+router.get('/:username/following', listFollows('follower'));
+
 // @route   GET /api/users/:username
 // @desc    Get user by username
 // @access  Public
 router.get('/:username', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username })
-      .select('-password -email')
+      .select(PUBLIC_PROFILE_FIELDS)
       .lean();
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    if (req.user) {
+      user.isFollowing = Boolean(
+        await Follow.exists({ follower: req.user._id, following: user._id })
+      );
+    }
+    
     res.json(user);
   } catch (error) {
     console.error('Get user error:', error);
@@ -44,7 +347,23 @@ router.put(
       body('avatar')
         .optional()
         .isURL()
-        .withMessage('Avatar must be a valid URL')
+        .withMessage('Avatar must be a valid URL'),
+      body('avatarUpload')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid avatar upload'),
+      body('allowFollowers')
+        .optional()
+        .isBoolean()
+        .withMessage('allowFollowers must be a boolean'),
+      body('messageMinKarma')
+        .optional({ values: 'null' })
+        .isInt()
+        .withMessage('messageMinKarma must be a whole number'),
+      body('messageMinAccountAge')
+        .optional({ values: 'null' })
+        .isInt({ min: 0 })
+        .withMessage('messageMinAccountAge must be a number of days')
     ]
   ],
   async (req, res) => {
@@ -55,17 +374,66 @@ router.put(
     }
     
     try {
-      const { bio, avatar } = req.body;
+      const { bio, avatarUpload, allowFollowers, messageMinKarma, messageMinAccountAge } = req.body;
+      let { avatar } = req.body;
+      
+      if (avatarUpload) {
+        const upload = await Upload.findOwned(avatarUpload, req.user._id, 'avatar');
+        
+        if (!upload) {
+          return res.status(400).json({ message: 'Invalid avatar upload' });
+        }
+        
+        avatar = upload.url;
+      }
+      
+      const update = {
+        bio: bio || req.user.bio,
+        avatar: avatar || req.user.avatar
+      };
+      
+      // Opting out of followers drops the current ones too
+      if (allowFollowers !== undefined) {
+        update.allowFollowers = allowFollowers === true || allowFollowers === 'true';
+        
+        if (!update.allowFollowers && req.user.allowFollowers !== false) {
+          // Refuse new followers before dropping the current ones
+          await User.updateOne({ _id: req.user._id }, { $set: { allowFollowers: false } });
+          
+          const follows = await Follow.find({ following: req.user._id }).select('follower').lean();
+          
+          // Only count follows this request removed; a concurrent unfollow
+          // has already updated the counts for its own
+          const removed = [];
+          for (const follow of follows) {
+            const { deletedCount } = await Follow.deleteOne({ _id: follow._id });
+            if (deletedCount > 0) {
+              removed.push(follow.follower);
+            }
+          }
+          
+          if (removed.length > 0) {
+            await Promise.all([
+              User.updateMany({ _id: { $in: removed } }, { $inc: { followingCount: -1 } }),
+              User.updateOne({ _id: req.user._id }, { $inc: { followerCount: -removed.length } })
+            ]);
+          }
+        }
+      }
+      
+      // Message thresholds are cleared with null
+      if (messageMinKarma !== undefined) {
+        update.messageMinKarma = messageMinKarma === null ? null : parseInt(messageMinKarma);
+      }
+      
+      if (messageMinAccountAge !== undefined) {
+        update.messageMinAccountAge = messageMinAccountAge === null ? null : parseInt(messageMinAccountAge);
+      }
       
       // Update user
       const updatedUser = await User.findByIdAndUpdate(
         req.user._id,
-        {
-          $set: {
-            bio: bio || req.user.bio,
-            avatar: avatar || req.user.avatar
-          }
-        },
+        { $set: update },
         { new: true }
       ).select('-password');
       
@@ -102,21 +470,31 @@ router.get('/:username/posts', optionalAuth, async (req, res) => {
       case 'controversial':
         sortOptions = { commentCount: -1 };
         break;
+      case 'hot':
+        sortOptions = { hotScore: -1, createdAt: -1 };
+        break;
       case 'new':
       default:
         sortOptions = { createdAt: -1 };
         break;
     }
     
-    // Get posts
-    const posts = await Post.find({ author: user._id })
+    // Get posts, leaving out private communities the viewer can't see
+    const query = await applyVisibilityFilter({ author: user._id }, req.user);
+    
+    // Users still see their own removed posts
+    if (!req.user || !req.user._id.equals(user._id)) {
+      query.removed = { $ne: true };
+    }
+    
+    const posts = await Post.find(query)
       .sort(sortOptions)
       .skip(skip)
       .limit(parseInt(limit))
       .populate('author', 'username avatar karma')
       .lean();
     
-    // If user is authenticated, add their vote status
+    // If user is authenticated, add their vote and saved status
     if (req.user) {
       const Vote = require('../models/Vote');
       
@@ -134,8 +512,14 @@ router.get('/:username/posts', optionalAuth, async (req, res) => {
       posts.forEach(post => {
         post.userVote = voteMap[post._id.toString()] || 0;
       });
+      
+      await attachSavedStatus(posts, req.user);
     }
     
+    posts.forEach(post => maskRemovedPost(post, req.user, false));
+    
+    await attachPollResults(posts, req.user);
+    
     res.json(posts);
   } catch (error) {
     console.error('Get user posts error:', error);
@@ -159,37 +543,26 @@ router.get('/:username/comments', optionalAuth, async (req, res) => {
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Determine sort order
-    let sortOptions = {};
-    switch (sort) {
-      case 'top':
-        sortOptions = { upvotes: -1 };
-        break;
-      case 'controversial':
-        sortOptions = { downvotes: -1 };
-        break;
-      case 'old':
-        sortOptions = { createdAt: 1 };
-        break;
-      case 'new':
-      default:
-        sortOptions = { createdAt: -1 };
-        break;
+    // Get comments, leaving out private communities the viewer can't see
+    const query = await applyVisibilityFilter({ author: user._id }, req.user);
+    
+    // Users still see their own removed comments
+    if (!req.user || !req.user._id.equals(user._id)) {
+      query.removed = { $ne: true };
     }
     
-    // Get comments
-    const comments = await Comment.find({ author: user._id })
-      .sort(sortOptions)
+    const comments = await Comment.find(query)
+      .sort(commentSortOptions(sort))
       .skip(skip)
       .limit(parseInt(limit))
       .populate('author', 'username avatar karma')
       .populate({
         path: 'post',
-        select: 'title community'
+        select: 'title community deleted'
       })
       .lean();
     
-    // If user is authenticated, add their vote status
+    // If user is authenticated, add their vote and saved status
     if (req.user) {
       const Vote = require('../models/Vote');
       
@@ -207,8 +580,12 @@ router.get('/:username/comments', optionalAuth, async (req, res) => {
       comments.forEach(comment => {
         comment.userVote = voteMap[comment._id.toString()] || 0;
       });
+      
+      await attachSavedStatus(comments, req.user);
     }
     
+    comments.forEach(comment => maskRemovedComment(comment, req.user, false));
+    
     res.json(comments);
   } catch (error) {
     console.error('Get user comments error:', error);
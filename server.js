@@ -15,6 +15,11 @@ const commentRoutes = require('./routes/comments');
 const communityRoutes = require('./routes/communities');
 const userRoutes = require('./routes/users');
 const searchRoutes = require('./routes/search');
+const uploadRoutes = require('./routes/uploads');
+const feedRoutes = require('./routes/feed');
+const notificationRoutes = require('./routes/notifications');
+const messageRoutes = require('./routes/messages');
+const { attachRealtime } = require('./utils/realtime');
 
 // Initialize express app
 const app = express();
@@ -23,6 +28,12 @@ const app = express();
 app.use(express.json());
 app.use(morgan('dev'));
 
+// Serve files stored by the local upload storage. Browsers must not sniff
+// them as anything other than the image type they are stored as.
+app.use('/uploads', express.static(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'), {
+  setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff')
+}));
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
@@ -30,6 +41,10 @@ app.use('/api/comments', commentRoutes);
 app.use('/api/communities', communityRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messages', messageRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -47,9 +62,12 @@ mongoose.connect(process.env.MONGODB_URI)
     
     // Start server
     const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+    
+    // Realtime updates share the HTTP server
+    attachRealtime(server);
   })
   .catch(err => {
     console.error('Failed to connect to MongoDB', err);
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTreeOptions, buildCommentTree, walkCommentTree } = require('../../utils/commentTree');
+
+// Plain comment objects; ids are strings, which the tree code only
+// compares through toString()
+const comment = (_id, parentId = null, replyCount = 0) => ({ _id, parentId, replyCount });
+
+const ids = (nodes) => nodes.map(node => (node.kind === 'more' ? `more:${node.count}` : node._id));
+
+test('parseTreeOptions applies defaults and caps', () => {
+  assert.deepStrictEqual(parseTreeOptions({}), { depth: 8, breadth: 10, limit: 50, cursor: 0 });
+  assert.deepStrictEqual(
+    parseTreeOptions({ depth: '100', breadth: '1000', limit: '9999', cursor: '20' }),
+    { depth: 20, breadth: 100, limit: 500, cursor: 20 }
+  );
+  assert.deepStrictEqual(
+    parseTreeOptions({ depth: '0', breadth: 'x', limit: '-5', cursor: '-3' }),
+    { depth: 8, breadth: 10, limit: 50, cursor: 0 }
+  );
+});
+
+test('buildCommentTree nests replies under their parents', () => {
+  const tree = buildCommentTree([
+    comment('a', null, 2),
+    comment('b'),
+    comment('a1', 'a'),
+    comment('a2', 'a', 1),
+    comment('a2x', 'a2')
+  ], { depth: 8, breadth: 10, limit: 50 });
+
+  assert.deepStrictEqual(ids(tree), ['a', 'b']);
+  assert.deepStrictEqual(ids(tree[0].replies), ['a1', 'a2']);
+  assert.deepStrictEqual(ids(tree[0].replies[1].replies), ['a2x']);
+  assert.deepStrictEqual(tree[1].replies, []);
+});
+
+test('buildCommentTree stubs replies past the depth limit', () => {
+  const tree = buildCommentTree([
+    comment('a', null, 1),
+    comment('a1', 'a', 3),
+    comment('a1x', 'a1')
+  ], { depth: 2, breadth: 10, limit: 50 });
+
+  const stub = tree[0].replies[0].replies[0];
+  assert.deepStrictEqual(stub, { kind: 'more', parentId: 'a1', cursor: 0, count: 3 });
+});
+
+test('buildCommentTree stubs siblings past the breadth and limit', () => {
+  const tree = buildCommentTree([
+    comment('a', null, 5),
+    comment('b'),
+    comment('c'),
+    comment('a1', 'a'),
+    comment('a2', 'a'),
+    comment('a3', 'a')
+  ], { depth: 8, breadth: 2, limit: 2 });
+
+  assert.deepStrictEqual(ids(tree), ['a', 'b', 'more:1']);
+  assert.deepStrictEqual(tree[2], { kind: 'more', parentId: null, cursor: 2, count: 1 });
+
+  // The stub counts replies that were never loaded, too
+  assert.deepStrictEqual(ids(tree[0].replies), ['a1', 'a2', 'more:3']);
+  assert.deepStrictEqual(tree[0].replies[2], { kind: 'more', parentId: 'a', cursor: 2, count: 3 });
+});
+
+test('buildCommentTree continues the first level from the cursor', () => {
+  const comments = ['a', 'b', 'c', 'd'].map(id => comment(id));
+
+  const unpaged = buildCommentTree(comments, { depth: 8, breadth: 10, limit: 2, cursor: 1 });
+  assert.deepStrictEqual(ids(unpaged), ['b', 'c', 'more:1']);
+  assert.strictEqual(unpaged[2].cursor, 3);
+
+  // A page loaded by the query only holds the requested comments
+  const paged = buildCommentTree(comments.slice(1, 3), { depth: 8, breadth: 10, limit: 2, cursor: 1, total: 4 });
+  assert.deepStrictEqual(ids(paged), ['b', 'c', 'more:1']);
+  assert.deepStrictEqual(paged[2], { kind: 'more', parentId: null, cursor: 3, count: 1 });
+
+  const lastPage = buildCommentTree(comments.slice(3), { depth: 8, breadth: 10, limit: 2, cursor: 3, total: 4 });
+  assert.deepStrictEqual(ids(lastPage), ['d']);
+});
+
+test('buildCommentTree builds below a given parent', () => {
+  const tree = buildCommentTree([
+    comment('a1', 'a'),
+    comment('a1x', 'a1')
+  ], { parentId: 'a', depth: 8, breadth: 10, limit: 50 });
+
+  assert.deepStrictEqual(ids(tree), ['a1']);
+  assert.deepStrictEqual(ids(tree[0].replies), ['a1x']);
+});
+
+test('walkCommentTree visits every comment and skips stubs', () => {
+  const tree = buildCommentTree([
+    comment('a', null, 3),
+    comment('b'),
+    comment('a1', 'a'),
+    comment('a2', 'a'),
+    comment('a1x', 'a1')
+  ], { depth: 8, breadth: 2, limit: 50 });
+
+  const visited = [];
+  walkCommentTree(tree, node => visited.push(node._id));
+
+  assert.deepStrictEqual(visited, ['a', 'a1', 'a1x', 'a2', 'b']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffWords } = require('../../utils/diff');
+
+// Rebuild either side of a diff from its chunks
+const side = (chunks, op) => chunks
+  .filter(chunk => chunk.op === 'equal' || chunk.op === op)
+  .map(chunk => chunk.text)
+  .join('');
+
+test('diffWords returns one equal chunk for identical text', () => {
+  assert.deepStrictEqual(diffWords('same text', 'same text'), [{ op: 'equal', text: 'same text' }]);
+});
+
+test('diffWords marks replaced words', () => {
+  assert.deepStrictEqual(diffWords('the quick fox', 'the slow fox'), [
+    { op: 'equal', text: 'the ' },
+    { op: 'delete', text: 'quick' },
+    { op: 'insert', text: 'slow' },
+    { op: 'equal', text: ' fox' }
+  ]);
+});
+
+test('diffWords handles added and removed text at either end', () => {
+  assert.deepStrictEqual(diffWords('', 'new'), [{ op: 'insert', text: 'new' }]);
+  assert.deepStrictEqual(diffWords('old', ''), [{ op: 'delete', text: 'old' }]);
+  assert.deepStrictEqual(diffWords('hello', 'hello world'), [
+    { op: 'equal', text: 'hello' },
+    { op: 'insert', text: ' world' }
+  ]);
+  assert.deepStrictEqual(diffWords(null, undefined), []);
+});
+
+test('diffWords chunks join back into both versions', () => {
+  const before = 'One line here.\n\nA second  paragraph with spacing.';
+  const after = 'One new line here.\n\nA second paragraph, with spacing!';
+  const chunks = diffWords(before, after);
+
+  assert.strictEqual(side(chunks, 'delete'), before);
+  assert.strictEqual(side(chunks, 'insert'), after);
+});
+
+test('diffWords never emits two chunks of the same kind in a row', () => {
+  const chunks = diffWords('a b c d e f', 'a x y d z f');
+
+  chunks.slice(1).forEach((chunk, index) => {
+    assert.notStrictEqual(chunk.op, chunks[index].op);
+  });
+});
+
+test('diffWords replaces very large changed sections outright', () => {
+  const before = Array.from({ length: 1500 }, (_, i) => `a${i}`).join(' ');
+  const after = Array.from({ length: 1500 }, (_, i) => `b${i}`).join(' ');
+
+  assert.deepStrictEqual(diffWords(before, after), [
+    { op: 'delete', text: before },
+    { op: 'insert', text: after }
+  ]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  hotScore,
+  confidenceScore,
+  controversyScore,
+  commentSortOptions
+} = require('../../utils/ranking');
+
+const HOUR = 60 * 60 * 1000;
+
+test('hotScore ranks posts with more net votes higher', () => {
+  const createdAt = new Date('2024-01-01T00:00:00Z');
+
+  assert.ok(hotScore(100, 0, createdAt) > hotScore(10, 0, createdAt));
+  assert.ok(hotScore(10, 0, createdAt) > hotScore(0, 0, createdAt));
+  assert.ok(hotScore(0, 10, createdAt) < hotScore(0, 0, createdAt));
+});
+
+test('hotScore lets ten times the votes make up for 12.5 hours of age', () => {
+  const older = new Date('2024-01-01T00:00:00Z');
+  const newer = new Date(older.getTime() + 12.5 * HOUR);
+
+  assert.strictEqual(hotScore(100, 0, older), hotScore(10, 0, newer));
+  assert.ok(hotScore(10, 0, newer) > hotScore(10, 0, older));
+});
+
+test('hotScore gives active threads a small boost', () => {
+  const createdAt = new Date('2024-01-01T00:00:00Z');
+
+  assert.ok(hotScore(10, 0, createdAt, 50) > hotScore(10, 0, createdAt, 0));
+  assert.ok(hotScore(10, 0, createdAt, 50) < hotScore(100, 0, createdAt, 0));
+});
+
+test('confidenceScore is zero without votes and stays between 0 and 1', () => {
+  assert.strictEqual(confidenceScore(0, 0), 0);
+
+  for (const [up, down] of [[1, 0], [0, 1], [5, 5], [1000, 3]]) {
+    const score = confidenceScore(up, down);
+    assert.ok(score >= 0 && score <= 1, `${up}/${down} gave ${score}`);
+  }
+});
+
+test('confidenceScore prefers a better ratio and more certainty', () => {
+  assert.ok(confidenceScore(9, 1) > confidenceScore(5, 5));
+  assert.ok(confidenceScore(90, 10) > confidenceScore(9, 1));
+  // A few clean upvotes beat many votes with a poor ratio
+  assert.ok(confidenceScore(10, 0) > confidenceScore(60, 40));
+});
+
+test('controversyScore is zero for one-sided votes and peaks when balanced', () => {
+  assert.strictEqual(controversyScore(10, 0), 0);
+  assert.strictEqual(controversyScore(0, 10), 0);
+  assert.ok(controversyScore(50, 50) > controversyScore(90, 10));
+  assert.ok(controversyScore(100, 100) > controversyScore(10, 10));
+  assert.strictEqual(controversyScore(30, 70), controversyScore(70, 30));
+});
+
+test('commentSortOptions maps each sort and falls back to best', () => {
+  assert.deepStrictEqual(commentSortOptions('new'), { createdAt: -1 });
+  assert.deepStrictEqual(commentSortOptions('old'), { createdAt: 1 });
+  assert.deepStrictEqual(commentSortOptions('top'), { upvotes: -1, createdAt: -1 });
+  assert.deepStrictEqual(commentSortOptions('controversial'), { controversialScore: -1, createdAt: -1 });
+  assert.deepStrictEqual(commentSortOptions('qa'), { hasOpReply: -1, bestScore: -1, createdAt: -1 });
+  assert.deepStrictEqual(commentSortOptions('best'), { bestScore: -1, createdAt: -1 });
+  assert.deepStrictEqual(commentSortOptions('bogus'), commentSortOptions('best'));
+  assert.deepStrictEqual(commentSortOptions(undefined), commentSortOptions('best'));
+});
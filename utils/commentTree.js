@@ -0,0 +1,147 @@
+const Comment = require('../models/Comment');
+
+// Default and maximum shape of a comment tree response
+const DEFAULT_DEPTH = 8;
+const MAX_DEPTH = 20;
+const DEFAULT_BREADTH = 10;
+const MAX_BREADTH = 100;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Most replies loaded below the first level of one response. Deeper levels
+// are cut first and left behind "more" stubs.
+const MAX_TREE_REPLIES = 1000;
+
+const clamp = (value, fallback, max) => {
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, max);
+};
+
+// Parse depth/breadth/limit/cursor query parameters into tree options.
+// `limit` caps the first level, `breadth` every level below it.
+const parseTreeOptions = (query) => ({
+  depth: clamp(query.depth, DEFAULT_DEPTH, MAX_DEPTH),
+  breadth: clamp(query.breadth, DEFAULT_BREADTH, MAX_BREADTH),
+  limit: clamp(query.limit, DEFAULT_LIMIT, MAX_LIMIT),
+  cursor: Math.max(parseInt(query.cursor) || 0, 0)
+});
+
+// Placeholder for replies that were left out of the response. The client
+// expands it with GET /api/comments/:parentId/children?cursor=<cursor>
+// (or GET /api/posts/:id/comments?cursor=<cursor> for top-level comments).
+const moreStub = (parentId, cursor, count) => ({
+  kind: 'more',
+  parentId,
+  cursor,
+  count
+});
+
+// Load one page of a comment tree, sorted by `sort`: the first level (the
+// post's top-level comments, or the replies to `parent`) is paged in the
+// query, followed by the replies below that page down to `depth` levels.
+// Resolves to { comments, total } for buildCommentTree, `total` being the
+// size of the whole first level.
+const loadCommentTree = async ({ post, parent = null, sort, depth, limit, cursor = 0 }) => {
+  const firstLevel = parent ? { parentId: parent._id } : { post, parentId: null };
+  const baseDepth = parent ? parent.depth + 1 : 0;
+
+  const [page, total] = await Promise.all([
+    Comment.find(firstLevel)
+      .sort(sort)
+      .skip(cursor)
+      .limit(limit)
+      .populate('author', 'username avatar karma')
+      .lean(),
+    Comment.countDocuments(firstLevel)
+  ]);
+
+  if (page.length === 0 || depth < 2) {
+    return { comments: page, total };
+  }
+
+  const replies = await Comment.find({
+    ancestors: { $in: page.map(comment => comment._id) },
+    depth: { $lt: baseDepth + depth }
+  })
+    .sort({ depth: 1, ...sort })
+    .limit(MAX_TREE_REPLIES)
+    .populate('author', 'username avatar karma')
+    .lean();
+
+  return { comments: [...page, ...replies], total };
+};
+
+// Turn a flat, already sorted list of comments into a nested tree below
+// `parentId` (null for top-level comments). The first level starts at
+// `cursor` and keeps at most `limit` comments, deeper levels at most
+// `breadth`, and the tree stops after `depth` levels; anything cut off is
+// replaced by a "more" stub. Pass `total` when `comments` only holds the
+// page of the first level that starts at `cursor` (see loadCommentTree).
+const buildCommentTree = (comments, { parentId = null, depth, breadth, limit, cursor = 0, total }) => {
+  const childMap = {};
+  comments.forEach(comment => {
+    const key = comment.parentId ? comment.parentId.toString() : 'root';
+    if (!childMap[key]) {
+      childMap[key] = [];
+    }
+    childMap[key].push(comment);
+  });
+
+  // `known` is how many siblings there are, loaded or not
+  const build = (parentKey, parent, level, start, max, known = 0) => {
+    const siblings = childMap[parentKey] || [];
+    const nodes = siblings.slice(start, start + max);
+
+    nodes.forEach(comment => {
+      const id = comment._id.toString();
+
+      if (level + 1 < depth) {
+        comment.replies = build(id, comment._id, level + 1, 0, breadth, comment.replyCount || 0);
+      } else {
+        // Depth limit reached: point to the rest of the thread instead
+        const count = Math.max(comment.replyCount || 0, (childMap[id] || []).length);
+        comment.replies = count > 0 ? [moreStub(comment._id, 0, count)] : [];
+      }
+    });
+
+    const remaining = Math.max(siblings.length, known) - (start + nodes.length);
+    if (remaining > 0) {
+      nodes.push(moreStub(parent, start + nodes.length, remaining));
+    }
+
+    return nodes;
+  };
+
+  const rootKey = parentId ? parentId.toString() : 'root';
+
+  if (total === undefined) {
+    return build(rootKey, parentId, 0, cursor, limit);
+  }
+
+  // The first level was paged in the query, so its stub continues the
+  // count from `cursor`
+  const nodes = build(rootKey, parentId, 0, 0, limit);
+  const remaining = total - (cursor + nodes.length);
+  if (remaining > 0) {
+    nodes.push(moreStub(parentId, cursor + nodes.length, remaining));
+  }
+
+  return nodes;
+};
+
+// Visit every real comment in a tree, skipping "more" stubs
+const walkCommentTree = (nodes, visit) => {
+  nodes.forEach(node => {
+    if (node.kind === 'more') return;
+    visit(node);
+    walkCommentTree(node.replies || [], visit);
+  });
+};
+
+module.exports = {
+  parseTreeOptions,
+  loadCommentTree,
+  buildCommentTree,
+  walkCommentTree
+};
@@ -0,0 +1,179 @@
+const Community = require('../models/Community');
+const CommunityBan = require('../models/CommunityBan');
+
+// Shared access policy for community content:
+// - public: anyone can view, any signed-in user can post
+// - restricted: anyone can view, only moderators and approved users can post
+// - private: only members, moderators and admins can view or post
+// Users banned from a community can still view it but not take part.
+
+const isCommunityModerator = (community, user) => Boolean(user) && (
+  community.creator.equals(user._id) ||
+  community.moderators.some(mod => mod.equals(user._id))
+);
+
+// Position in the moderator team: 0 for the creator, then by seniority.
+// Returns -1 for users who are not moderators.
+const moderatorRank = (community, userId) => {
+  if (community.creator.equals(userId)) return 0;
+
+  const index = community.moderators.findIndex(mod => mod.equals(userId));
+  return index === -1 ? -1 : index + 1;
+};
+
+// Whether `user` moderates the community with the given permission
+const hasModPermission = (community, user, permission) => {
+  if (!user) return false;
+  if (community.creator.equals(user._id)) return true;
+  if (!community.moderators.some(mod => mod.equals(user._id))) return false;
+
+  const entry = (community.moderatorPermissions || []).find(
+    item => item.user.equals(user._id)
+  );
+  const permissions = entry ? entry.permissions : ['all'];
+
+  return permissions.includes('all') || permissions.includes(permission);
+};
+
+const isCommunityMember = (community, user) => Boolean(user) &&
+  user.joinedCommunities.includes(community.name);
+
+const isApprovedUser = (community, user) => Boolean(user) &&
+  (community.approvedUsers || []).some(approved => approved.equals(user._id));
+
+const canViewCommunity = (community, user) => {
+  if (community.type !== 'private') return true;
+  if (!user) return false;
+
+  return user.isAdmin || isCommunityMember(community, user) || isCommunityModerator(community, user);
+};
+
+const canPostInCommunity = (community, user) => {
+  if (!user) return false;
+  if (user.isAdmin || isCommunityModerator(community, user)) return true;
+
+  switch (community.type) {
+    case 'restricted':
+      return isApprovedUser(community, user);
+    case 'private':
+      return isCommunityMember(community, user);
+    case 'public':
+    default:
+      return true;
+  }
+};
+
+// Describe an active ban for the response, or return null
+const banMessage = async (name, user) => {
+  const ban = await CommunityBan.findActive(name, user._id);
+
+  if (!ban) return null;
+
+  let message = `You are banned from r/${name}`;
+  if (ban.expiresAt) message += ` until ${ban.expiresAt.toISOString()}`;
+  if (ban.reason) message += `: ${ban.reason}`;
+
+  return message;
+};
+
+// Check whether a user may view ('view'), post in ('post') or comment and
+// vote in ('participate') the named community. Returns null when allowed,
+// otherwise { status, message } to send back.
+const checkCommunityAccess = async (name, user, action = 'view') => {
+  const community = await Community.findOne({ name })
+    .select('name type creator moderators approvedUsers')
+    .lean();
+
+  if (!community) {
+    return { status: 404, message: 'Community not found' };
+  }
+
+  if (!canViewCommunity(community, user)) {
+    return { status: 403, message: 'This community is private' };
+  }
+
+  if (action === 'post' && !canPostInCommunity(community, user)) {
+    return { status: 403, message: 'You are not allowed to post in this community' };
+  }
+
+  if (action !== 'view' && user) {
+    const banned = await banMessage(community.name, user);
+    if (banned) {
+      return { status: 403, message: banned };
+    }
+  }
+
+  return null;
+};
+
+// Whether `user` may use a moderator permission in the community; admins
+// may in every community
+const moderates = (community, user, permission) => Boolean(user) &&
+  (user.isAdmin || hasModPermission(community, user, permission));
+
+// The named community if the user moderates it with the given permission,
+// otherwise null
+const moderatedCommunity = async (name, user, permission) => {
+  if (!user) return null;
+
+  const community = await Community.findOne({ name });
+  return community && moderates(community, user, permission) ? community : null;
+};
+
+// Whether the user moderates the named community with the given
+// permission; admins always do
+const canModerate = async (name, user, permission) => {
+  if (!user) return false;
+  if (user.isAdmin) return true;
+
+  const community = await Community.findOne({ name })
+    .select('creator moderators moderatorPermissions')
+    .lean();
+
+  return Boolean(community) && hasModPermission(community, user, permission);
+};
+
+// Names of private communities whose content the user may not see
+const hiddenCommunityNames = async (user) => {
+  if (user && user.isAdmin) return [];
+
+  const privateCommunities = await Community.find({ type: 'private' })
+    .select('name creator moderators')
+    .lean();
+
+  return privateCommunities
+    .filter(community => !canViewCommunity(community, user))
+    .map(community => community.name);
+};
+
+// Add a condition to a post or comment query that drops content from
+// private communities the user cannot see. Content that does not record its
+// community (comments not yet migrated) is dropped too rather than leaked.
+const applyVisibilityFilter = async (query, user) => {
+  const hidden = await hiddenCommunityNames(user);
+
+  if (hidden.length > 0) {
+    const excluded = [...hidden, null];
+    query.community = query.community
+      ? { $eq: query.community, $nin: excluded }
+      : { $nin: excluded };
+  }
+
+  return query;
+};
+
+module.exports = {
+  isCommunityModerator,
+  moderatorRank,
+  hasModPermission,
+  moderates,
+  isCommunityMember,
+  isApprovedUser,
+  canViewCommunity,
+  canPostInCommunity,
+  checkCommunityAccess,
+  moderatedCommunity,
+  canModerate,
+  hiddenCommunityNames,
+  applyVisibilityFilter
+};
@@ -0,0 +1,101 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const PollVote = require('../models/PollVote');
+const Report = require('../models/Report');
+const Revision = require('../models/Revision');
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+
+// Placeholder for content and authors of deleted posts and comments
+const DELETED = '[deleted]';
+
+// Remove a comment for good. A deleted parent that is left without replies
+// has nothing more to hold together, so it goes as well.
+const purgeComment = async (comment) => {
+  await Promise.all([
+    comment.deleteOne(),
+    Vote.deleteMany({ targetType: 'Comment', target: comment._id }),
+    Report.deleteMany({ target: comment._id }),
+    Revision.deleteMany({ target: comment._id }),
+    SavedItem.deleteMany({ target: comment._id })
+  ]);
+
+  if (!comment.parentId) return;
+
+  const parent = await Comment.findByIdAndUpdate(
+    comment.parentId,
+    { $inc: { replyCount: -1 } },
+    { new: true }
+  );
+
+  if (parent && parent.deleted && !(await Comment.exists({ parentId: parent._id }))) {
+    await purgeComment(parent);
+  }
+};
+
+// Delete a comment on behalf of its author. Comments with replies stay in
+// the thread as "[deleted]" so the replies keep their parent; leaf comments
+// are purged. Either way the post has one comment less.
+const deleteComment = async (comment) => {
+  if (await Comment.exists({ parentId: comment._id })) {
+    comment.deleted = true;
+    comment.deletedAt = new Date();
+    comment.content = DELETED;
+    comment.author = undefined;
+
+    // Earlier versions would give the deleted content away
+    await Promise.all([
+      comment.save(),
+      Revision.deleteMany({ target: comment._id })
+    ]);
+  } else {
+    await purgeComment(comment);
+  }
+
+  const post = await Post.findById(comment.post);
+  if (post) {
+    post.commentCount = Math.max(0, post.commentCount - 1);
+    await post.save();
+  }
+};
+
+// Delete a post on behalf of its author. A post with comments keeps its
+// title so the thread and comment listings still make sense, but loses its
+// body, attachments and author; a post without comments is purged.
+const deletePost = async (post) => {
+  if (await Comment.exists({ post: post._id })) {
+    post.deleted = true;
+    post.deletedAt = new Date();
+    post.content = DELETED;
+    post.author = undefined;
+    post.image = undefined;
+    post.url = undefined;
+    post.linkPreview = undefined;
+    post.poll = undefined;
+    post.pinned = false;
+
+    await Promise.all([
+      post.save(),
+      PollVote.deleteMany({ post: post._id }),
+      Revision.deleteMany({ target: post._id })
+    ]);
+    return;
+  }
+
+  await Promise.all([
+    post.deleteOne(),
+    Vote.deleteMany({ targetType: 'Post', target: post._id }),
+    PollVote.deleteMany({ post: post._id }),
+    Report.deleteMany({ target: post._id }),
+    Revision.deleteMany({ target: post._id }),
+    SavedItem.deleteMany({ target: post._id }),
+    HiddenPost.deleteMany({ post: post._id })
+  ]);
+};
+
+module.exports = {
+  DELETED,
+  deleteComment,
+  deletePost
+};
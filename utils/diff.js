@@ -0,0 +1,84 @@
+// Above this many word pairs a changed section is shown as replaced
+// outright instead of being diffed word by word
+const MAX_DIFF_CELLS = 1000000;
+
+// Words and the whitespace between them, so chunks join back losslessly
+const tokenize = (text) => (text || '').match(/\s+|\S+/g) || [];
+
+// Word-level diff of two strings as a list of { op, text } chunks, where
+// op is 'equal', 'delete' or 'insert'
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const chunks = [];
+
+  const push = (op, text) => {
+    if (!text) return;
+    const last = chunks[chunks.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else {
+      chunks.push({ op, text });
+    }
+  };
+
+  // Edits are usually local, so only the middle needs the full comparison
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  push('equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    // Longest common subsequence lengths of every pair of suffixes
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push('equal', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push('delete', midA[i]);
+        i++;
+      } else {
+        push('insert', midB[j]);
+        j++;
+      }
+    }
+
+    push('delete', midA.slice(i).join(''));
+    push('insert', midB.slice(j).join(''));
+  }
+
+  push('equal', a.slice(endA).join(''));
+
+  return chunks;
+};
+
+module.exports = {
+  diffWords
+};
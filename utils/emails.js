@@ -0,0 +1,35 @@
+const { sendMail } = require('./mailer');
+
+// Links in emails point at the frontend, which calls the API with the token
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+const sendPasswordResetEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Reset your password',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Someone asked to reset the password for your account. If it was you, open this link within the next hour:',
+    '',
+    `${appUrl()}/reset-password?token=${token}`,
+    '',
+    'If you did not ask for this, you can ignore this email.'
+  ].join('\n')
+});
+
+const sendVerificationEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Verify your email address',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Please confirm that this is your email address by opening this link:',
+    '',
+    `${appUrl()}/verify-email?token=${token}`
+  ].join('\n')
+});
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
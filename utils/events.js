@@ -0,0 +1,53 @@
+const { EventEmitter } = require('events');
+
+// In-process bus that route handlers publish to and the realtime server
+// forwards to subscribed clients
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Channel names clients subscribe to
+const channels = {
+  post: (id) => `post:${id}`,
+  community: (name) => `community:${name}`,
+  user: (id) => `user:${id}`
+};
+
+// Channel the realtime server acts on itself; clients cannot subscribe to it
+const INTERNAL_CHANNEL = 'internal';
+
+// Publish an event on a channel. Publishing never fails the request that
+// triggered it.
+const publish = (channel, event, data) => {
+  try {
+    bus.emit('event', { channel, event, data });
+  } catch (error) {
+    console.error('Event publish error:', error);
+  }
+};
+
+// A user's sessions were revoked, so their open connections must be
+// checked again
+const sessionsRevoked = (user) => {
+  publish(INTERNAL_CHANNEL, 'sessions_revoked', { user });
+};
+
+// A user (or, without `user`, anyone) may have lost access to a community,
+// so live subscriptions to it must be checked again
+const accessChanged = (community, user) => {
+  publish(INTERNAL_CHANNEL, 'access_changed', { community, user });
+};
+
+// Listen to every published event; returns a function that stops listening
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+module.exports = {
+  channels,
+  INTERNAL_CHANNEL,
+  publish,
+  sessionsRevoked,
+  accessChanged,
+  subscribe
+};
@@ -0,0 +1,60 @@
+const UserFlair = require('../models/UserFlair');
+
+// Turn a pick from a community's flair templates ({ flairId, flairText })
+// into the flair stored on a post or user. Moderators can use mod-only
+// templates and change the text of any of them.
+// Returns { flair } or { error }.
+const pickFlair = (templates, { flairId, flairText }, isModerator) => {
+  const template = templates.id(flairId);
+
+  if (!template || (template.modOnly && !isModerator)) {
+    return { error: 'Flair not found' };
+  }
+
+  let text = template.text;
+  if (flairText) {
+    if (!template.userEditable && !isModerator) {
+      return { error: 'This flair cannot be edited' };
+    }
+    text = flairText;
+  }
+
+  return {
+    flair: {
+      template: template._id,
+      text,
+      textColor: template.textColor,
+      backgroundColor: template.backgroundColor
+    }
+  };
+};
+
+const authorId = (item) => item.author._id || item.author;
+
+// Add the author's flair in the item's community to each post or comment
+// as `authorFlair` (null when they have none)
+const attachAuthorFlair = async (items) => {
+  const withAuthor = items.filter(item => item.author && item.community);
+  if (withAuthor.length === 0) return items;
+
+  const flairs = await UserFlair.find({
+    community: { $in: [...new Set(withAuthor.map(item => item.community))] },
+    user: { $in: withAuthor.map(authorId) }
+  }).lean();
+
+  const flairMap = {};
+  flairs.forEach(({ community, user, text, textColor, backgroundColor }) => {
+    flairMap[`${community}:${user}`] = { text, textColor, backgroundColor };
+  });
+
+  withAuthor.forEach(item => {
+    item.authorFlair = flairMap[`${item.community}:${authorId(item)}`] || null;
+  });
+
+  return items;
+};
+
+module.exports = {
+  pickFlair,
+  attachAuthorFlair
+};
@@ -0,0 +1,214 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+// Give up on slow or huge pages; a preview is never worth blocking a post
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 5;
+
+const decodeEntities = (text) => text
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&#x27;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// Read a <meta property|name="..." content="..."> value, in either attribute order
+const readMeta = (html, key) => {
+  const patterns = [
+    new RegExp(`<meta[^>]+(?:property|name)=["']${key}["'][^>]*content=["']([^"']*)["']`, 'i'),
+    new RegExp(`<meta[^>]+content=["']([^"']*)["'][^>]*(?:property|name)=["']${key}["']`, 'i')
+  ];
+
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match) return decodeEntities(match[1]).trim();
+  }
+
+  return '';
+};
+
+// Extract preview fields from Open Graph / Twitter card tags
+const parseMetadata = (html, pageUrl) => {
+  const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+  let thumbnail = readMeta(html, 'og:image') || readMeta(html, 'twitter:image');
+  if (thumbnail) {
+    try {
+      thumbnail = new URL(thumbnail, pageUrl).toString();
+    } catch (error) {
+      thumbnail = '';
+    }
+  }
+
+  return {
+    title: (readMeta(html, 'og:title') || readMeta(html, 'twitter:title') ||
+      (titleTag ? decodeEntities(titleTag[1]).trim() : '')).slice(0, 300),
+    description: (readMeta(html, 'og:description') || readMeta(html, 'description')).slice(0, 1000),
+    thumbnail,
+    siteName: readMeta(html, 'og:site_name').slice(0, 100)
+  };
+};
+
+// Loopback, private, link-local, shared, multicast and reserved addresses
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+
+  const lower = address.toLowerCase();
+
+  // IPv4-mapped addresses are judged by the IPv4 address they carry
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  return lower === '::' || lower === '::1' ||
+    lower.startsWith('::ffff:') ||
+    lower.startsWith('64:ff9b:') ||
+    /^f[cd]/.test(lower) ||
+    /^fe[89ab]/.test(lower) ||
+    /^ff/.test(lower);
+};
+
+// Don't let submitted links make the server probe its own network. Names
+// are checked again once resolved, see safeLookup.
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return isPrivateAddress(host);
+
+  return host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal');
+};
+
+// DNS lookup used for every connection: a public name that resolves to a
+// private address is refused before connecting, so the address checked is
+// the one connected to
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`Refusing to connect to private address ${blocked.address}`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Request a single URL without following redirects
+const requestPage = (url, signal) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+
+  const request = client.get(url, {
+    lookup: safeLookup,
+    signal,
+    headers: {
+      'User-Agent': 'RedditCloneBot/1.0 (+link preview)',
+      'Accept-Encoding': 'identity'
+    }
+  }, resolve);
+
+  request.on('error', reject);
+});
+
+// Read at most MAX_HTML_BYTES of the body, dropping the connection there
+const readBody = (response) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  let done = false;
+
+  const finish = () => {
+    if (done) return;
+    done = true;
+    resolve(Buffer.concat(chunks).toString('utf8').slice(0, MAX_HTML_BYTES));
+  };
+
+  response.on('data', (chunk) => {
+    chunks.push(chunk);
+    size += chunk.length;
+
+    if (size >= MAX_HTML_BYTES) {
+      finish();
+      response.destroy();
+    }
+  });
+  response.on('end', finish);
+  response.on('error', (error) => {
+    if (!done) reject(error);
+  });
+});
+
+// Default fetcher: download the page and read its metadata tags. Redirects
+// are followed by hand so every hop goes through the same checks.
+const httpMetadataFetcher = async (url) => {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = new URL(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!['http:', 'https:'].includes(current.protocol) || isPrivateHost(current.hostname)) {
+      return {};
+    }
+
+    const response = await requestPage(current, signal);
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.destroy();
+      current = new URL(headers.location, current);
+      continue;
+    }
+
+    const contentType = headers['content-type'] || '';
+    if (statusCode < 200 || statusCode >= 300 || !contentType.includes('text/html')) {
+      response.destroy();
+      return {};
+    }
+
+    const html = await readBody(response);
+    return parseMetadata(html, current.toString());
+  }
+
+  return {};
+};
+
+let metadataFetcher = httpMetadataFetcher;
+
+// Replace the fetcher, e.g. with a local stub in tests. Passing nothing
+// restores the default HTTP fetcher.
+const setMetadataFetcher = (fetcher) => {
+  metadataFetcher = fetcher || httpMetadataFetcher;
+};
+
+// Fetch preview metadata for a link. Never throws: on any failure the
+// post is simply stored without a preview.
+const fetchLinkMetadata = async (url) => {
+  if (process.env.LINK_PREVIEWS === 'off') return {};
+
+  try {
+    const metadata = (await metadataFetcher(url)) || {};
+    return {
+      title: metadata.title || '',
+      description: metadata.description || '',
+      thumbnail: metadata.thumbnail || '',
+      siteName: metadata.siteName || ''
+    };
+  } catch (error) {
+    console.error('Link preview error:', error.message);
+    return {};
+  }
+};
+
+module.exports = {
+  parseMetadata,
+  setMetadataFetcher,
+  fetchLinkMetadata
+};
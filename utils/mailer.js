@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Default mailer: write each message as a JSON file to a local outbox
+// directory instead of sending it, so flows can be tested without SMTP
+const createOutboxMailer = ({ directory }) => ({
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const email = {
+      from: process.env.MAIL_FROM || 'no-reply@localhost',
+      ...message,
+      date: new Date().toISOString()
+    };
+
+    await fs.writeFile(path.join(directory, name), JSON.stringify(email, null, 2));
+    return email;
+  }
+});
+
+let mailer;
+
+const getMailer = () => {
+  if (!mailer) {
+    mailer = createOutboxMailer({
+      directory: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')
+    });
+  }
+
+  return mailer;
+};
+
+// Replace the mailer with any object that has send({ to, subject, text })
+const setMailer = (adapter) => {
+  mailer = adapter;
+};
+
+// Send an email through the configured mailer
+const sendMail = (message) => getMailer().send(message);
+
+module.exports = {
+  createOutboxMailer,
+  getMailer,
+  setMailer,
+  sendMail
+};
@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+
+// Largest file accepted by the upload endpoint for any kind
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+// Longest side of generated thumbnails
+const THUMBNAIL_SIZE = 320;
+
+// Size and dimension limits per upload kind
+const MEDIA_RULES = {
+  post: { maxBytes: MAX_UPLOAD_BYTES, minWidth: 1, minHeight: 1, maxWidth: 10000, maxHeight: 10000 },
+  avatar: { maxBytes: 2 * 1024 * 1024, minWidth: 64, minHeight: 64, maxWidth: 2048, maxHeight: 2048 },
+  icon: { maxBytes: 2 * 1024 * 1024, minWidth: 64, minHeight: 64, maxWidth: 2048, maxHeight: 2048 },
+  banner: { maxBytes: 5 * 1024 * 1024, minWidth: 640, minHeight: 80, maxWidth: 4000, maxHeight: 1500 }
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Detect the real image type from magic bytes; the client's Content-Type
+// and file name are not trusted
+const sniffMimeType = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  const header = buffer.subarray(0, 6).toString('ascii');
+  if (header === 'GIF87a' || header === 'GIF89a') {
+    return 'image/gif';
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+
+  return null;
+};
+
+// Validate an uploaded image for the given kind, re-encode it and build its
+// thumbnail. Returns { mimeType, extension, width, height, image, thumbnail }
+// or { error }; `image` is what gets stored, never the uploaded bytes.
+const processImage = async (buffer, kind) => {
+  const rules = MEDIA_RULES[kind];
+  if (!rules) {
+    return { error: 'Invalid upload kind' };
+  }
+
+  const mimeType = sniffMimeType(buffer);
+  if (!mimeType) {
+    return { error: 'Only JPEG, PNG, GIF and WebP images are allowed' };
+  }
+
+  if (buffer.length > rules.maxBytes) {
+    return { error: `File is too large (max ${Math.round(rules.maxBytes / 1024 / 1024)} MB)` };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'Image could not be read' };
+  }
+
+  // Animated images report the height of all frames stacked together
+  const width = metadata.width;
+  const height = metadata.pageHeight || metadata.height;
+
+  if (width < rules.minWidth || height < rules.minHeight) {
+    return { error: `Image must be at least ${rules.minWidth}x${rules.minHeight} pixels` };
+  }
+  if (width > rules.maxWidth || height > rules.maxHeight) {
+    return { error: `Image must be at most ${rules.maxWidth}x${rules.maxHeight} pixels` };
+  }
+
+  // Re-encoding applies the EXIF orientation and drops all metadata (GPS
+  // position included) as well as anything else smuggled into the file
+  let encoded;
+  try {
+    encoded = await sharp(buffer, { animated: true })
+      .rotate()
+      .toFormat(mimeType.replace('image/', ''))
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    return { error: 'Image could not be read' };
+  }
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  return {
+    mimeType,
+    extension: EXTENSIONS[mimeType],
+    width: encoded.info.width,
+    height: encoded.info.pageHeight || encoded.info.height,
+    image: encoded.data,
+    thumbnail
+  };
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MEDIA_RULES,
+  sniffMimeType,
+  processImage
+};
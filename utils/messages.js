@@ -0,0 +1,50 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+// Find the conversation with the given key, creating it if needed. Two
+// first messages racing on the upsert can both try the insert; the loser
+// hits the unique key and finds the winner's conversation on the retry.
+const findOrCreateConversation = async ({ key, participants, community }) => {
+  const upsert = () => Conversation.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { key, participants, community } },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code === 11000) return upsert();
+    throw error;
+  }
+};
+
+// Add a message to the conversation with the given key, starting the
+// conversation with its first message. `community` marks modmail; leave
+// `recipient` out for modmail sent to the moderators.
+const sendMessage = async ({ key, participants, community = null, sender, recipient = null, content }) => {
+  const conversation = await findOrCreateConversation({ key, participants, community });
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender,
+    recipient,
+    content
+  });
+
+  // Only move lastMessage forward, so a slower concurrent send cannot
+  // overwrite a newer message
+  await Conversation.updateOne(
+    {
+      _id: conversation._id,
+      $or: [{ lastMessageAt: null }, { lastMessageAt: { $lte: message.createdAt } }]
+    },
+    { $set: { lastMessage: message._id, lastMessageAt: message.createdAt } }
+  );
+
+  return { conversation, message };
+};
+
+module.exports = {
+  sendMessage
+};
@@ -0,0 +1,29 @@
+const ModAction = require('../models/ModAction');
+const { isCommunityModerator } = require('./communityAccess');
+
+// Record a moderator or admin action in the community's mod log. Logging
+// never fails the request that performed the action.
+const logModAction = async ({ community, actor, action, targetType, target, targetUser, details }) => {
+  try {
+    const name = typeof community === 'string' ? community : community.name;
+    const byAdmin = Boolean(actor.isAdmin) &&
+      (typeof community === 'string' || !isCommunityModerator(community, actor));
+
+    await ModAction.create({
+      community: name,
+      actor: actor._id,
+      byAdmin,
+      action,
+      targetType,
+      target,
+      targetUser,
+      details
+    });
+  } catch (error) {
+    console.error('Mod log error:', error);
+  }
+};
+
+module.exports = {
+  logModAction
+};
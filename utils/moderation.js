@@ -0,0 +1,68 @@
+// Placeholder shown to regular users instead of removed content
+const REMOVED = '[removed]';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isAuthor = (doc, user) => {
+  if (!user || !doc.author) return false;
+  return (doc.author._id || doc.author).equals(user._id);
+};
+
+// Moderators see removed content as is. Its author sees it too, with the
+// removal reason but not who removed it. Everyone else gets a placeholder.
+const maskRemoval = (doc, viewer, isModerator) => {
+  if (!doc.removed || isModerator) return false;
+
+  if (isAuthor(doc, viewer)) {
+    doc.removal = { reason: doc.removal ? doc.removal.reason : undefined };
+    return false;
+  }
+
+  delete doc.removal;
+  delete doc.approvedBy;
+  return true;
+};
+
+// Removed posts keep their title so the thread still makes sense, but the
+// body and attachments are replaced
+const maskRemovedPost = (post, viewer, isModerator) => {
+  if (maskRemoval(post, viewer, isModerator)) {
+    post.content = REMOVED;
+    delete post.image;
+    delete post.url;
+    delete post.linkPreview;
+    delete post.poll;
+  }
+
+  return post;
+};
+
+// Removed comments stay in the tree so their replies are not orphaned
+const maskRemovedComment = (comment, viewer, isModerator) => {
+  if (maskRemoval(comment, viewer, isModerator)) {
+    comment.content = REMOVED;
+    comment.author = null;
+  }
+
+  return comment;
+};
+
+// Removal for a new post or comment the community's spam filter holds
+// back, or null if it can go up right away. Held content stays removed
+// until a moderator approves it from the mod queue.
+const spamFilterRemoval = (community, author) => {
+  const lowKarma = community.filterMinKarma != null && author.karma < community.filterMinKarma;
+  const newAccount = community.filterMinAccountAge != null &&
+    Date.now() - author.createdAt.getTime() < community.filterMinAccountAge * DAY_MS;
+
+  if (!lowKarma && !newAccount) return null;
+
+  return { at: new Date(), reason: 'Held for review by the spam filter', filtered: true };
+};
+
+module.exports = {
+  REMOVED,
+  spamFilterRemoval,
+  maskRemovedPost,
+  maskRemovedComment
+};
@@ -0,0 +1,104 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { canViewCommunity } = require('./communityAccess');
+const { channels, publish } = require('./events');
+
+// Most users a single post or comment can notify by mentioning them
+const MAX_MENTIONS = 10;
+
+// Notification types a thread mute silences; moderator notices about the
+// user's own content still come through
+const THREAD_NOTIFICATION_TYPES = ['post_reply', 'comment_reply', 'mention'];
+
+// Push a stored notification to the recipient's live connections
+const publishNotification = (notification) => {
+  if (notification) {
+    publish(channels.user(notification.recipient), 'notification', notification);
+  }
+};
+
+// Send a notification unless the recipient caused it, muted its type or
+// thread, or blocked the actor. Pass `session` to create it inside a
+// transaction; the caller then publishes it with publishNotification once
+// the transaction has committed. Notifying never fails the request that
+// triggered it.
+const notify = async ({ recipient, type, actor, community, post, comment, message }, { session } = {}) => {
+  try {
+    if (!recipient || (actor && actor.equals(recipient))) return null;
+
+    const user = await User.findById(recipient)
+      .select('mutedNotificationTypes mutedThreads blockedUsers')
+      .lean();
+
+    if (!user) return null;
+    if ((user.mutedNotificationTypes || []).includes(type)) return null;
+    if (post && THREAD_NOTIFICATION_TYPES.includes(type) &&
+        (user.mutedThreads || []).some(id => id.equals(post))) return null;
+    if (actor && (user.blockedUsers || []).some(id => id.equals(actor))) return null;
+
+    const [notification] = await Notification.create([{
+      recipient,
+      type,
+      actor,
+      community,
+      post,
+      comment,
+      message
+    }], { session });
+
+    if (!session) {
+      publishNotification(notification);
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Usernames mentioned as u/name in a piece of text
+const parseMentions = (text) => {
+  const names = new Set();
+  const pattern = /(?:^|[^\w/])\/?u\/([A-Za-z0-9_-]{3,20})/g;
+  let match;
+
+  while ((match = pattern.exec(text || '')) && names.size < MAX_MENTIONS) {
+    names.add(match[1]);
+  }
+
+  return [...names];
+};
+
+// Notify users mentioned in a new post or comment, skipping those who
+// cannot see the community and those in `skip` (already notified)
+const notifyMentions = async ({ text, community, actor, post, comment, skip = [] }) => {
+  const names = parseMentions(text);
+  if (names.length === 0) return;
+
+  const users = await User.find({ username: { $in: names } })
+    .select('joinedCommunities isAdmin')
+    .lean();
+
+  const where = comment ? 'a comment' : 'a post';
+
+  await Promise.all(users
+    .filter(user => !skip.some(id => id && id.equals(user._id)))
+    .filter(user => canViewCommunity(community, user))
+    .map(user => notify({
+      recipient: user._id,
+      type: 'mention',
+      actor: actor._id,
+      community: community.name,
+      post,
+      comment,
+      message: `u/${actor.username} mentioned you in ${where} in r/${community.name}`
+    })));
+};
+
+module.exports = {
+  notify,
+  publishNotification,
+  parseMentions,
+  notifyMentions
+};
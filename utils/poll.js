@@ -0,0 +1,84 @@
+const PollVote = require('../models/PollVote');
+
+// Limits for poll creation
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const DEFAULT_DURATION_DAYS = 3;
+const MAX_DURATION_DAYS = 7;
+
+// Validate the poll fields of a create-post request. Returns the poll
+// subdocument to store, or an error message.
+const buildPoll = ({ pollOptions, pollDuration }) => {
+  if (!Array.isArray(pollOptions)) {
+    return { error: 'Poll options are required' };
+  }
+
+  const options = pollOptions
+    .map(option => (typeof option === 'string' ? option.trim() : ''))
+    .filter(Boolean);
+
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return { error: `Polls need between ${MIN_OPTIONS} and ${MAX_OPTIONS} options` };
+  }
+
+  const days = pollDuration === undefined ? DEFAULT_DURATION_DAYS : Number(pollDuration);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DURATION_DAYS) {
+    return { error: `Poll duration must be between 1 and ${MAX_DURATION_DAYS} days` };
+  }
+
+  return {
+    poll: {
+      options: options.map(text => ({ text, votes: 0 })),
+      totalVotes: 0,
+      closesAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    }
+  };
+};
+
+const isPollClosed = (poll) => new Date(poll.closesAt) <= new Date();
+
+// Add the user's choice and closed state to poll posts, and hide the
+// per-option tallies until the user has voted or the poll has closed.
+// Works on lean posts; non-poll posts are left untouched.
+const attachPollResults = async (posts, user) => {
+  const polls = posts.filter(post => post.postType === 'poll' && post.poll);
+
+  if (polls.length === 0) {
+    return posts;
+  }
+
+  const choiceMap = {};
+
+  if (user) {
+    const pollVotes = await PollVote.find({
+      user: user._id,
+      post: { $in: polls.map(post => post._id) }
+    });
+
+    pollVotes.forEach(pollVote => {
+      choiceMap[pollVote.post.toString()] = pollVote.option;
+    });
+  }
+
+  polls.forEach(post => {
+    const userChoice = choiceMap[post._id.toString()] || null;
+    const isClosed = isPollClosed(post.poll);
+
+    post.poll.userChoice = userChoice;
+    post.poll.isClosed = isClosed;
+
+    if (!userChoice && !isClosed) {
+      post.poll.options = post.poll.options.map(({ _id, text }) => ({ _id, text }));
+      delete post.poll.totalVotes;
+    }
+  });
+
+  return posts;
+};
+
+module.exports = {
+  buildPoll,
+  isPollClosed,
+  attachPollResults
+};
@@ -0,0 +1,68 @@
+// Reference point for the time component of the hot score (2005-12-08)
+const HOT_EPOCH = 1134028003;
+
+// Seconds of age that are worth one order of magnitude of votes (12.5 hours)
+const HOT_DECAY = 45000;
+
+// Time-decayed "hot" score: log of net votes plus age, so a post needs ten
+// times the votes to rank alongside one submitted 12.5 hours later.
+// New comments give a small, diminishing boost to active threads.
+exports.hotScore = (upvotes = 0, downvotes = 0, createdAt = new Date(), commentCount = 0) => {
+  const net = upvotes - downvotes;
+  const order = Math.log10(Math.max(Math.abs(net), 1));
+  const sign = net > 0 ? 1 : net < 0 ? -1 : 0;
+  const activity = Math.log10(commentCount + 1) / 2;
+  const seconds = new Date(createdAt).getTime() / 1000 - HOT_EPOCH;
+
+  return Math.round((sign * order + activity + seconds / HOT_DECAY) * 1e7) / 1e7;
+};
+
+// z-score for an 80% confidence interval
+const CONFIDENCE_Z = 1.281551565545;
+
+// Lower bound of the Wilson score interval for the share of upvotes. A new
+// comment with a few upvotes is not outranked by an old one that merely has
+// more votes, since both are judged by how sure we are of their ratio.
+exports.confidenceScore = (upvotes = 0, downvotes = 0) => {
+  const n = upvotes + downvotes;
+  if (n === 0) return 0;
+
+  const z = CONFIDENCE_Z;
+  const phat = upvotes / n;
+
+  return (
+    phat + (z * z) / (2 * n) -
+    z * Math.sqrt((phat * (1 - phat) + (z * z) / (4 * n)) / n)
+  ) / (1 + (z * z) / n);
+};
+
+// Controversy grows with vote volume and peaks when upvotes and downvotes
+// are evenly balanced; one-sided content scores zero.
+exports.controversyScore = (upvotes = 0, downvotes = 0) => {
+  if (upvotes <= 0 || downvotes <= 0) return 0;
+
+  const magnitude = upvotes + downvotes;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+
+  return Math.pow(magnitude, balance);
+};
+
+// Sort options for comment listings, shared by flat lists and trees
+exports.commentSortOptions = (sort) => {
+  switch (sort) {
+    case 'new':
+      return { createdAt: -1 };
+    case 'old':
+      return { createdAt: 1 };
+    case 'top':
+      return { upvotes: -1, createdAt: -1 };
+    case 'controversial':
+      return { controversialScore: -1, createdAt: -1 };
+    case 'qa':
+      // Threads the post author took part in come first
+      return { hasOpReply: -1, bestScore: -1, createdAt: -1 };
+    case 'best':
+    default:
+      return { bestScore: -1, createdAt: -1 };
+  }
+};
@@ -0,0 +1,310 @@
+const mongoose = require('mongoose');
+const { WebSocketServer, WebSocket } = require('ws');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authenticate } = require('../middleware/auth');
+const { checkCommunityAccess } = require('./communityAccess');
+const { channels, INTERNAL_CHANNEL, subscribe } = require('./events');
+
+// Path clients open the WebSocket on
+const REALTIME_PATH = '/api/realtime';
+
+// Most channels a single connection can subscribe to
+const MAX_SUBSCRIPTIONS = 50;
+
+// Largest message a client may send; subscriptions are tiny JSON objects
+const MAX_PAYLOAD_BYTES = 4 * 1024;
+
+// How often dead connections are detected and dropped, and sessions of
+// live ones checked again
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Close code for connections whose session or token is no longer valid
+const CLOSE_UNAUTHORIZED = 4001;
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+// Access token from ?token= (browsers cannot set headers on a WebSocket)
+// or from the Authorization header
+const requestToken = (req, url) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+  return url.searchParams.get('token');
+};
+
+// Resolve a token to { user, sessionId, expiresAt }, or null
+const authenticateToken = async (token) => {
+  try {
+    return await authenticate(token);
+  } catch (error) {
+    return null;
+  }
+};
+
+// The socket's user as currently stored, so membership changes made
+// since the connection was opened are taken into account
+const currentUser = (socket) => socket.user &&
+  User.findById(socket.user._id).select('joinedCommunities isAdmin').lean();
+
+// Community access for live updates; banned users get none
+const communityDenial = async (name, user) => {
+  const denied = await checkCommunityAccess(name, user, 'participate');
+  return denied && denied.message;
+};
+
+// Check a subscription. Resolves to { community } (the community the
+// channel belongs to, null for user channels) or { message } if denied.
+const checkChannelAccess = async (channel, user) => {
+  const [kind, id] = channel.split(/:(.*)/);
+
+  switch (kind) {
+    case 'user':
+      if (!user || user._id.toString() !== id) {
+        return { message: 'You can only subscribe to your own user channel' };
+      }
+      return { community: null };
+    case 'community': {
+      const message = await communityDenial(id, user);
+      return message ? { message } : { community: id };
+    }
+    case 'post': {
+      if (!mongoose.isValidObjectId(id)) return { message: 'Post not found' };
+
+      const post = await Post.findById(id).select('community').lean();
+      if (!post) return { message: 'Post not found' };
+
+      const message = await communityDenial(post.community, user);
+      return message ? { message } : { community: post.community };
+    }
+    default:
+      return { message: 'Unknown channel' };
+  }
+};
+
+// Take on a (refreshed) access token. A connection stays bound to the
+// user it was opened for.
+const adoptAuth = (socket, auth) => {
+  if (socket.user && !socket.user._id.equals(auth.user._id)) {
+    return false;
+  }
+
+  socket.user = auth.user;
+  socket.sessionId = auth.sessionId;
+  socket.expiresAt = auth.expiresAt;
+  socket.channels.set(channels.user(auth.user._id), null);
+  return true;
+};
+
+// Close connections whose access token expired or whose session was
+// revoked or ran out
+const verifySessions = async (sockets) => {
+  const signedIn = sockets.filter(socket => socket.sessionId);
+  if (signedIn.length === 0) return;
+
+  const now = Date.now();
+  const live = await Session.find({
+    _id: { $in: signedIn.map(socket => socket.sessionId) },
+    revokedAt: null,
+    expiresAt: { $gt: new Date(now) }
+  }).distinct('_id');
+  const liveIds = new Set(live.map(id => id.toString()));
+
+  signedIn.forEach((socket) => {
+    if (socket.expiresAt <= now) {
+      socket.close(CLOSE_UNAUTHORIZED, 'Token expired');
+    } else if (!liveIds.has(String(socket.sessionId))) {
+      socket.close(CLOSE_UNAUTHORIZED, 'Session revoked');
+    }
+  });
+};
+
+// Check a socket's subscriptions to a community again (every community
+// without `community`) and drop those it may no longer have
+const recheckSubscriptions = async (socket, community) => {
+  const user = await currentUser(socket);
+
+  for (const [channel, name] of socket.channels) {
+    if (!name || (community && name !== community)) continue;
+
+    const message = await communityDenial(name, user);
+    if (message) {
+      socket.channels.delete(channel);
+      send(socket, { type: 'unsubscribed', channel, message });
+    }
+  }
+};
+
+// Act on events published on the internal channel
+const handleInternalEvent = (wss, event, data) => {
+  const sockets = [...wss.clients].filter(socket => socket.channels);
+  const forUser = (socket) => !data.user ||
+    (socket.user && socket.user._id.toString() === data.user.toString());
+
+  const work = event === 'sessions_revoked'
+    ? verifySessions(sockets.filter(forUser))
+    : Promise.all(sockets.filter(forUser).map(socket => recheckSubscriptions(socket, data.community)));
+
+  work.catch(error => console.error('Realtime access check error:', error));
+};
+
+// Handle a subscribe/unsubscribe/auth message from a client
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, { type: 'error', message: 'Invalid message' });
+  }
+
+  const { type, channel, token } = message || {};
+
+  // Clients send a fresh access token before the current one expires
+  if (type === 'auth') {
+    const auth = typeof token === 'string' && await authenticateToken(token);
+    if (!auth || !adoptAuth(socket, auth)) {
+      return socket.close(CLOSE_UNAUTHORIZED, 'Not authorized');
+    }
+    return send(socket, { type: 'authenticated' });
+  }
+
+  if (typeof channel !== 'string') {
+    return send(socket, { type: 'error', message: 'Channel is required' });
+  }
+
+  if (type === 'unsubscribe') {
+    socket.channels.delete(channel);
+    return send(socket, { type: 'unsubscribed', channel });
+  }
+
+  if (type !== 'subscribe') {
+    return send(socket, { type: 'error', channel, message: 'Unknown message type' });
+  }
+
+  if (socket.channels.has(channel)) {
+    return send(socket, { type: 'subscribed', channel });
+  }
+
+  // Subscriptions still being checked hold their slot, so concurrent
+  // requests cannot get past the cap together
+  if (socket.channels.size + socket.pendingSubscriptions >= MAX_SUBSCRIPTIONS) {
+    return send(socket, { type: 'error', channel, message: `You can subscribe to at most ${MAX_SUBSCRIPTIONS} channels` });
+  }
+
+  socket.pendingSubscriptions += 1;
+
+  try {
+    const access = await checkChannelAccess(channel, await currentUser(socket));
+    if (access.message) {
+      return send(socket, { type: 'error', channel, message: access.message });
+    }
+
+    socket.channels.set(channel, access.community);
+    send(socket, { type: 'subscribed', channel });
+  } catch (error) {
+    console.error('Realtime subscribe error:', error);
+    send(socket, { type: 'error', channel, message: 'Server error' });
+  } finally {
+    socket.pendingSubscriptions -= 1;
+  }
+};
+
+// Serve realtime updates over WebSocket on the given HTTP server. Clients
+// connect to /api/realtime (optionally with an access token) and send
+// { type: 'subscribe' | 'unsubscribe', channel } for post:<id>,
+// community:<name> or their own user:<id> channel, which signed-in users
+// join automatically. Events arrive as { type: 'event', channel, event, data }.
+// Signed-in clients send { type: 'auth', token } with each refreshed access
+// token; connections with an expired token or revoked session are closed.
+const attachRealtime = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== REALTIME_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    let auth = null;
+    const token = requestToken(req, url);
+
+    if (token) {
+      auth = await authenticateToken(token);
+
+      // A bad token is rejected rather than silently treated as anonymous
+      if (!auth) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, auth);
+    });
+  });
+
+  wss.on('connection', (socket, auth) => {
+    socket.user = null;
+    socket.channels = new Map();
+    socket.pendingSubscriptions = 0;
+    socket.isAlive = true;
+
+    if (auth) {
+      adoptAuth(socket, auth);
+    }
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => handleMessage(socket, raw.toString()));
+    socket.on('error', (error) => console.error('Realtime socket error:', error));
+  });
+
+  // Forward published events to every socket subscribed to their channel
+  const unsubscribe = subscribe(({ channel, event, data }) => {
+    if (channel === INTERNAL_CHANNEL) {
+      handleInternalEvent(wss, event, data || {});
+      return;
+    }
+
+    wss.clients.forEach((socket) => {
+      if (socket.channels && socket.channels.has(channel)) {
+        send(socket, { type: 'event', channel, event, data });
+      }
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+
+    verifySessions([...wss.clients].filter(socket => socket.channels))
+      .catch(error => console.error('Realtime session check error:', error));
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  return wss;
+};
+
+module.exports = {
+  attachRealtime
+};
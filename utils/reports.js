@@ -0,0 +1,78 @@
+const Report = require('../models/Report');
+
+// Work out what a report is about from either one of the community's rules
+// or a site-wide reason. Returns { rule, siteReason, reason } or { error }.
+const resolveReportReason = (community, { ruleId, siteReason }) => {
+  if (ruleId) {
+    const rule = community.rules.id(ruleId);
+    if (!rule) return { error: 'Rule not found' };
+
+    return { rule: rule._id, reason: rule.title };
+  }
+
+  if (siteReason && Report.SITE_REPORT_REASONS[siteReason]) {
+    return { siteReason, reason: Report.SITE_REPORT_REASONS[siteReason] };
+  }
+
+  return { error: 'Choose one of the community rules or a site-wide reason' };
+};
+
+// Record a report against a post or comment and bump its report count.
+// Returns null if the user already has an open report on the item.
+const fileReport = async (Model, item, community, user, fields) => {
+  let report;
+
+  try {
+    report = await Report.create({
+      targetType: Model.modelName,
+      target: item._id,
+      community: community.name,
+      reporter: user._id,
+      ...fields
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await Model.updateOne({ _id: item._id }, { $inc: { reportCount: 1 } });
+
+  return report;
+};
+
+// Close every open report on an item once a moderator has dealt with it
+const resolveReports = async (Model, item, user) => {
+  await Report.updateMany(
+    { target: item._id, resolvedAt: null },
+    { resolvedAt: new Date(), resolvedBy: user._id }
+  );
+  await Model.updateOne({ _id: item._id }, { reportCount: 0 });
+};
+
+// Open reports for the given items, counted per reason:
+// { [itemId]: [{ reason, count }] }
+const summarizeReports = async (ids) => {
+  const groups = await Report.aggregate([
+    { $match: { target: { $in: ids }, resolvedAt: null } },
+    { $group: { _id: { target: '$target', reason: '$reason' }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  const summary = {};
+  groups.forEach(({ _id, count }) => {
+    const key = _id.target.toString();
+    if (!summary[key]) {
+      summary[key] = [];
+    }
+    summary[key].push({ reason: _id.reason, count });
+  });
+
+  return summary;
+};
+
+module.exports = {
+  resolveReportReason,
+  fileReport,
+  resolveReports,
+  summarizeReports
+};
@@ -0,0 +1,55 @@
+const Community = require('../models/Community');
+const Revision = require('../models/Revision');
+const { diffWords } = require('./diff');
+const { canModerate } = require('./communityAccess');
+
+// Edits made this soon after posting are treated as part of writing it and
+// leave no trace (EDIT_GRACE_SECONDS, default three minutes)
+const EDIT_GRACE_SECONDS = parseInt(process.env.EDIT_GRACE_SECONDS);
+const EDIT_GRACE_MS = (isNaN(EDIT_GRACE_SECONDS) ? 180 : EDIT_GRACE_SECONDS) * 1000;
+
+// Apply `changes` ({ title, content }) to a post or comment, recording the
+// old version as a revision once the grace window has passed. The caller
+// saves the document. Returns false when nothing actually changed.
+const applyEdit = async (doc, targetType, editor, changes) => {
+  const fields = Object.keys(changes).filter(
+    field => changes[field] !== undefined && changes[field] !== doc[field]
+  );
+
+  if (fields.length === 0) return false;
+
+  if (Date.now() - doc.createdAt.getTime() >= EDIT_GRACE_MS) {
+    const revision = { targetType, target: doc._id, editor: editor._id, diff: {} };
+
+    fields.forEach(field => {
+      revision[field] = doc[field];
+      revision.diff[field] = diffWords(doc[field], changes[field]);
+    });
+
+    await Revision.create(revision);
+    doc.edited = new Date();
+  }
+
+  fields.forEach(field => {
+    doc[field] = changes[field];
+  });
+
+  return true;
+};
+
+// Authors can always see how their content changed, moderators can see it
+// in their communities, and everyone else only if the community allows it
+// and the content has not been removed (which would unmask it)
+const canViewRevisions = async (doc, communityName, user) => {
+  if (user && doc.author && doc.author.equals(user._id)) return true;
+  if (await canModerate(communityName, user, 'posts')) return true;
+  if (doc.removed) return false;
+
+  const community = await Community.findOne({ name: communityName }).select('publicEditHistory');
+  return Boolean(community && community.publicEditHistory);
+};
+
+module.exports = {
+  applyEdit,
+  canViewRevisions
+};
@@ -0,0 +1,22 @@
+const SavedItem = require('../models/SavedItem');
+
+// Flag each post or comment with whether the user saved it
+const attachSavedStatus = async (items, user) => {
+  const saved = await SavedItem.find({
+    user: user._id,
+    target: { $in: items.map(item => item._id) }
+  })
+    .select('target')
+    .lean();
+
+  const savedIds = new Set(saved.map(item => item.target.toString()));
+  items.forEach(item => {
+    item.saved = savedIds.has(item._id.toString());
+  });
+
+  return items;
+};
+
+module.exports = {
+  attachSavedStatus
+};
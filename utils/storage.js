@@ -0,0 +1,81 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local disk storage: files live under UPLOAD_DIR and are served by
+// server.js at /uploads
+const createLocalStorage = ({ directory, publicUrl }) => ({
+  async save(key, buffer) {
+    const file = path.join(directory, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${publicUrl}/${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(directory, key), { force: true });
+  }
+});
+
+// S3-compatible object storage (AWS, MinIO, R2, ...). Needs the optional
+// @aws-sdk/client-s3 package, which is only loaded when this driver is used.
+const createS3Storage = ({ bucket, region, endpoint, publicUrl }) => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint)
+  });
+
+  return {
+    async save(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return `${publicUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+let storage;
+
+// Storage backend chosen by STORAGE_DRIVER (local by default)
+const getStorage = () => {
+  if (!storage) {
+    if (process.env.STORAGE_DRIVER === 's3') {
+      storage = createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        publicUrl: process.env.S3_PUBLIC_URL
+      });
+    } else {
+      storage = createLocalStorage({
+        directory: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+        publicUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads'
+      });
+    }
+  }
+
+  return storage;
+};
+
+// Replace the backend with any object that has save(key, buffer, contentType)
+// and remove(key)
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,55 @@
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'mc_cid',
+  'mc_eid',
+  'igshid',
+  'yclid',
+  '_ga',
+  '_hsenc',
+  '_hsmi',
+  'ref_src',
+  'ref_url'
+];
+
+const isTrackingParam = (name) => {
+  const key = name.toLowerCase();
+  return key.startsWith('utm_') || TRACKING_PARAMS.includes(key);
+};
+
+// Normalize a submitted link so the same page always maps to the same
+// string: http(s) only, lowercase scheme and host, no default port,
+// credentials, fragment or tracking parameters. Anything a server could
+// tell apart ("www.", trailing slashes, parameter order) is kept as is.
+// Returns null for anything that is not a valid web URL.
+const canonicalizeUrl = (raw) => {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+
+  let url;
+  try {
+    url = new URL(raw.trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+    return null;
+  }
+
+  url.username = '';
+  url.password = '';
+  url.hash = '';
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name));
+  url.search = new URLSearchParams(params).toString();
+
+  return url.toString();
+};
+
+module.exports = {
+  canonicalizeUrl
+};